@@ -0,0 +1,105 @@
+/**
+ * AurumTrack — Portfolio Accounts
+ * Features:
+ *  - Named accounts (family members, demat accounts) in one transaction ledger —
+ *    every transaction carries the id of the account it belongs to
+ *  - Ledgers from before accounts existed are assigned to the default account
+ *  - Lot matching stays within an account: a sell in one account never consumes
+ *    another account's buys (matchAccountsFifo)
+ *
+ * Used by the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const ACCOUNTS = {
+    KEY: 'portfolio_accounts',
+    SELECTED_KEY: 'portfolio_account',
+    ALL: 'all', // the consolidated view
+    DEFAULT: { id: 'main', name: 'Main' },
+    NAME_MAX: 40
+};
+
+/* ══════════════════════════════════════════════
+   STORAGE
+══════════════════════════════════════════════ */
+function loadAccounts() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ACCOUNTS.KEY));
+        if (Array.isArray(saved) && saved.length) return saved;
+    } catch (e) { }
+    return [{ ...ACCOUNTS.DEFAULT }];
+}
+
+function saveAccounts(accounts) {
+    localStorage.setItem(ACCOUNTS.KEY, JSON.stringify(accounts));
+}
+
+/**
+ * Gives every transaction without an account to the first one. Returns true if any changed.
+ */
+function assignDefaultAccount(transactions, accounts) {
+    let changed = false;
+    transactions.forEach(tx => {
+        if (accounts.some(a => a.id === tx.account)) return;
+        tx.account = accounts[0].id;
+        changed = true;
+    });
+    return changed;
+}
+
+/* ══════════════════════════════════════════════
+   MANAGEMENT
+══════════════════════════════════════════════ */
+
+/**
+ * Validates a new account name and returns the account to append.
+ *
+ * @throws {Error} With a user-facing message when the name is empty or taken
+ */
+function createAccount(name, accounts) {
+    const clean = String(name || '').trim().slice(0, ACCOUNTS.NAME_MAX);
+    if (!clean) throw new Error('Give the account a name.');
+    if (accounts.some(a => a.name.toLowerCase() === clean.toLowerCase())) throw new Error(`"${clean}" already exists.`);
+
+    const base = clean.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'account';
+    let id = base;
+    for (let n = 2; id === ACCOUNTS.ALL || accounts.some(a => a.id === id); n++) id = `${base}-${n}`;
+    return { id, name: clean };
+}
+
+function accountName(id, accounts) {
+    return accounts.find(a => a.id === id)?.name || id;
+}
+
+/* ══════════════════════════════════════════════
+   PER-ACCOUNT MATCHING
+══════════════════════════════════════════════ */
+
+/**
+ * Transactions grouped by account id.
+ */
+function byAccount(transactions) {
+    const groups = {};
+    transactions.forEach(tx => { (groups[tx.account] ||= []).push(tx); });
+    return groups;
+}
+
+/**
+ * matchLotsFifo() run separately for each account, results combined
+ * (open lots of the same asset are listed oldest first across accounts).
+ */
+function matchAccountsFifo(transactions) {
+    const lots = {}, matches = [], unmatched = [];
+    Object.values(byAccount(transactions)).forEach(txs => {
+        const res = matchLotsFifo(txs);
+        Object.entries(res.lots).forEach(([asset, open]) => { (lots[asset] ||= []).push(...open); });
+        matches.push(...res.matches);
+        unmatched.push(...res.unmatched);
+    });
+    Object.values(lots).forEach(open => open.sort((a, b) => Date.parse(a.date) - Date.parse(b.date)));
+    return { lots, matches, unmatched };
+}
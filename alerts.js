@@ -0,0 +1,306 @@
+/**
+ * AurumTrack — Alert Engine
+ * Features:
+ *  - User-defined rules on any registered instrument's price, its intraday % move,
+ *    the MCX-vs-parity spread (raw or landed cost) or a predicted opening gap
+ *  - Conditions: above, below, crosses, |value| above
+ *  - Evaluated after every fetchAll(); per-rule cooldown
+ *  - Delivery via the Notification API and an optional webhook (JSON POST)
+ *  - Rules, webhook URL and the alert history log persist in localStorage; every
+ *    change re-reads it first and other tabs reload on the storage event
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const ALERTS = {
+    KEY: 'price_alerts',
+    HISTORY_MAX: 100,
+    DEFAULT_COOLDOWN: 15, // minutes
+    CONDITIONS: {
+        above: { label: '>', test: (v, t) => v > t },
+        below: { label: '<', test: (v, t) => v < t },
+        crosses: { label: 'crosses', test: (v, t, last) => last !== undefined && (last - t) * (v - t) < 0 },
+        abs_above: { label: 'moves ±', test: (v, t) => Math.abs(v) > t }
+    }
+};
+
+let alertState = loadAlertState();
+const alertLastValue = {}; // rule id → value at previous evaluation (for "crosses")
+
+function loadAlertState() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ALERTS.KEY));
+        if (saved) return saved;
+    } catch (e) { }
+    return { rules: [], webhook: '', history: [] };
+}
+
+function saveAlertState() {
+    try {
+        localStorage.setItem(ALERTS.KEY, JSON.stringify(alertState));
+    } catch (e) { }
+}
+
+/**
+ * Applies a change to the stored state — re-read first, so a rule added, deleted
+ * or fired in another tab isn't overwritten by this tab's copy.
+ */
+function updateAlertState(mutate) {
+    alertState = loadAlertState();
+    mutate(alertState);
+    saveAlertState();
+}
+
+/* ══════════════════════════════════════════════
+   METRICS
+══════════════════════════════════════════════ */
+
+/**
+ * Every value a rule can watch, keyed by metric id.
+ * Returns { id: { label, value, unit } }; value is null when the input isn't loaded
+ * yet or its quote is stale (cached from a past visit, or the feed has stalled).
+ */
+function alertMetrics() {
+    const m = {};
+
+    // Price + move of every registered instrument
+    getInstruments().forEach(({ key: k, name, unit }) => {
+        if (unit === '$') name += ' USD';
+        const st = isFresh(S[k]) ? S[k] : null;
+        m[`price:${k}`] = { label: `${name}`, value: st?.cur || null, unit: '' };
+        m[`change:${k}`] = {
+            label: `${name} intraday move`,
+            value: st?.cur && st?.prev ? (st.cur / st.prev - 1) * 100 : null,
+            unit: '%'
+        };
+    });
+
+    const spreads = calcSpreads();
+    m['spread:gold'] = { label: 'Gold MCX spread', value: spreads.gold?.pct ?? null, unit: '%' };
+    m['spread:silver'] = { label: 'Silver MCX spread', value: spreads.silver?.pct ?? null, unit: '%' };
+    m['landed:gold'] = { label: 'Gold MCX vs landed cost', value: spreads.gold?.landed.pct ?? null, unit: '%' };
+    m['landed:silver'] = { label: 'Silver MCX vs landed cost', value: spreads.silver?.landed.pct ?? null, unit: '%' };
+
+    Object.entries(JOURNAL.INSTRUMENTS).forEach(([sym, inst]) => {
+        const fresh = isFresh(S[instrumentBySym(sym)?.key]);
+        m[`gap:${sym}`] = { label: `${inst.name} predicted gap`, value: fresh ? S.predicted[sym]?.gapPct ?? null : null, unit: '%' };
+    });
+
+    return m;
+}
+
+function describeRule(rule, metrics) {
+    const metric = metrics[rule.metric];
+    const unit = metric?.unit || '';
+    return `${metric?.label || rule.metric} ${ALERTS.CONDITIONS[rule.condition].label} ${rule.threshold}${unit}`;
+}
+
+/* ══════════════════════════════════════════════
+   EVALUATION
+══════════════════════════════════════════════ */
+
+/**
+ * Checks every enabled rule against the latest values and fires those that match
+ * and are out of cooldown.
+ */
+function evaluateAlerts() {
+    if (isReplayActive() || !alertState.rules.length) return;
+
+    const metrics = alertMetrics();
+    const now = Date.now();
+    const due = [];
+
+    alertState.rules.forEach(rule => {
+        const value = metrics[rule.metric]?.value;
+        if (value === null || value === undefined) return;
+
+        const last = alertLastValue[rule.id];
+        alertLastValue[rule.id] = value;
+
+        if (!rule.enabled) return;
+        if (!ALERTS.CONDITIONS[rule.condition].test(value, rule.threshold, last)) return;
+        if (rule.lastFired && now - rule.lastFired < rule.cooldown * 60e3) return;
+        due.push({ id: rule.id, value });
+    });
+    if (!due.length) return;
+
+    // Cooldowns are checked again against storage — another tab may have just fired the rule
+    updateAlertState(state => due.forEach(({ id, value }) => {
+        const rule = state.rules.find(r => r.id === id);
+        if (!rule?.enabled || (rule.lastFired && now - rule.lastFired < rule.cooldown * 60e3)) return;
+        rule.lastFired = now;
+        fireAlert(rule, value, metrics);
+    }));
+    renderAlerts();
+}
+
+function fireAlert(rule, value, metrics) {
+    const unit = metrics[rule.metric]?.unit || '';
+    const message = `${describeRule(rule, metrics)} — now ${fmt(value, unit ? 2 : value >= 1000 ? 0 : 2)}${unit}`;
+    const event = { ruleId: rule.id, metric: rule.metric, value, message, ts: Date.now() };
+
+    alertState.history.unshift(event);
+    alertState.history = alertState.history.slice(0, ALERTS.HISTORY_MAX);
+
+    if (window.Notification && Notification.permission === 'granted') {
+        new Notification("Mohit's Tracker", { body: message, tag: rule.id });
+    }
+    if (alertState.webhook) postAlertWebhook(event);
+}
+
+/**
+ * POSTs an alert event as JSON to the configured webhook URL.
+ */
+async function postAlertWebhook(event) {
+    try {
+        const r = await fetch(alertState.webhook, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: 'aurumtrack', ...event })
+        });
+        if (!r.ok) console.error(`[AurumTrack] Alert webhook error: ${r.status} ${r.statusText}`);
+        return r.ok;
+    } catch (e) {
+        console.error('[AurumTrack] Alert webhook failed:', e);
+        return false;
+    }
+}
+
+/* ══════════════════════════════════════════════
+   RULE MANAGEMENT
+══════════════════════════════════════════════ */
+function addAlertRule(metric, condition, threshold, cooldown) {
+    updateAlertState(state => state.rules.push({
+        id: `r${Date.now()}`,
+        metric,
+        condition,
+        threshold,
+        cooldown,
+        enabled: true,
+        lastFired: 0
+    }));
+    renderAlerts();
+
+    if (window.Notification && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+function deleteAlertRule(id) {
+    updateAlertState(state => { state.rules = state.rules.filter(r => r.id !== id); });
+    renderAlerts();
+}
+
+function toggleAlertRule(id) {
+    updateAlertState(state => {
+        const rule = state.rules.find(r => r.id === id);
+        if (rule) rule.enabled = !rule.enabled;
+    });
+    renderAlerts();
+}
+
+/* ══════════════════════════════════════════════
+   UI
+══════════════════════════════════════════════ */
+function initAlerts() {
+    const form = document.getElementById('alert-form');
+    if (!form) return;
+
+    renderAlertMetricOptions();
+    document.getElementById('alert-condition').innerHTML = Object.entries(ALERTS.CONDITIONS)
+        .map(([id, c]) => `<option value="${id}">${c.label}</option>`).join('');
+    document.getElementById('alert-cooldown').value = ALERTS.DEFAULT_COOLDOWN;
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const threshold = parseFloat(document.getElementById('alert-threshold').value);
+        const cooldown = parseFloat(document.getElementById('alert-cooldown').value) || 0;
+        if (isNaN(threshold)) return;
+        addAlertRule(
+            document.getElementById('alert-metric').value,
+            document.getElementById('alert-condition').value,
+            threshold,
+            cooldown
+        );
+        document.getElementById('alert-threshold').value = '';
+    });
+
+    const webhookInput = document.getElementById('alert-webhook');
+    webhookInput.value = alertState.webhook;
+    document.getElementById('alert-webhook-save').addEventListener('click', () => {
+        updateAlertState(state => { state.webhook = webhookInput.value.trim(); });
+    });
+    document.getElementById('alert-webhook-test').addEventListener('click', async () => {
+        updateAlertState(state => { state.webhook = webhookInput.value.trim(); });
+        if (!alertState.webhook) return;
+        const ok = await postAlertWebhook({ ruleId: 'test', metric: 'test', value: 0, message: 'Test alert', ts: Date.now() });
+        document.getElementById('alert-webhook-status').textContent = ok ? 'Delivered ✓' : 'Failed — see console';
+    });
+
+    // Rules changed or fired in another tab
+    window.addEventListener('storage', e => {
+        if (e.key !== ALERTS.KEY) return;
+        alertState = loadAlertState();
+        webhookInput.value = alertState.webhook;
+        renderAlerts();
+    });
+
+    renderAlerts();
+}
+
+/**
+ * Fills the rule form's metric list — again whenever the instrument registry changes.
+ */
+function renderAlertMetricOptions() {
+    const select = document.getElementById('alert-metric');
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = Object.entries(alertMetrics())
+        .map(([id, m]) => `<option value="${escapeHtml(id)}">${escapeHtml(m.label)}${m.unit ? ` (${m.unit})` : ''}</option>`).join('');
+    if (selected) select.value = selected;
+    if (!select.value) select.selectedIndex = 0;
+}
+
+function renderAlerts() {
+    const listEl = document.getElementById('alert-rules');
+    const historyEl = document.getElementById('alert-history');
+    if (!listEl || !historyEl) return;
+
+    const metrics = alertMetrics();
+
+    listEl.innerHTML = alertState.rules.length ? alertState.rules.map(rule => `
+        <div class="transaction-item">
+            <div class="tx-info">
+                <div class="tx-asset-row">
+                    <span class="tx-asset">${escapeHtml(describeRule(rule, metrics))}</span>
+                    <span class="tx-type ${rule.enabled ? 'buy' : 'sell'}">${rule.enabled ? 'ON' : 'OFF'}</span>
+                </div>
+                <div class="tx-details">Cooldown ${rule.cooldown} min${rule.lastFired ? ` • Last fired ${new Date(rule.lastFired).toLocaleString('en-IN')}` : ''}</div>
+            </div>
+            <div class="tx-actions">
+                <button class="btn-delete" onclick="toggleAlertRule('${rule.id}')" title="${rule.enabled ? 'Pause' : 'Resume'} rule">
+                    <i class="fa-solid ${rule.enabled ? 'fa-pause' : 'fa-play'}"></i>
+                </button>
+                <button class="btn-delete" onclick="deleteAlertRule('${rule.id}')" title="Delete rule">
+                    <i class="fa-solid fa-trash-can"></i>
+                </button>
+            </div>
+        </div>
+    `).join('') : '<div class="empty-analytics">No alert rules yet.</div>';
+
+    historyEl.innerHTML = alertState.history.length ? alertState.history.map(ev => `
+        <div class="transaction-item">
+            <div class="tx-info">
+                <div class="tx-asset">${escapeHtml(ev.message)}</div>
+                <div class="tx-details">${new Date(ev.ts).toLocaleString('en-IN')}</div>
+            </div>
+        </div>
+    `).join('') : '<div class="empty-analytics">No alerts fired yet.</div>';
+}
+
+// Global scope for onclick
+window.toggleAlertRule = toggleAlertRule;
+window.deleteAlertRule = deleteAlertRule;
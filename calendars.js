@@ -0,0 +1,204 @@
+/**
+ * AurumTrack — Exchange Calendars
+ * Features:
+ *  - Per-exchange trading calendars (NSE, MCX, COMEX) loaded from editable JSON
+ *    files in calendars/ — weekly session hours in the exchange's own time zone,
+ *    holidays, and special days: half days, evening-only sessions, Muhurat trading
+ *    and special weekend sessions
+ *  - Session state of any exchange at any instant (virtual while a replay runs)
+ *  - Last loaded calendars cached in localStorage for the next visit; regular
+ *    weekly hours only while none could be loaded
+ *  - "Calendar expires soon" warning in the live bar before a file's validUntil
+ *
+ * Calendar file format:
+ *   { exchange, name, timezone, validUntil: 'YYYY-MM-DD', preOpenMinutes,
+ *     week:     { mon: ['09:15-15:30'], …, sun: [] },
+ *     holidays: { 'YYYY-MM-DD': name },
+ *     special:  { 'YYYY-MM-DD': { name, sessions: ['HH:MM-HH:MM', …] } } }
+ * A special day replaces the weekly hours (and any holiday) for that date.
+ * Sessions that run past midnight are split at 24:00.
+ *
+ * Shared by the dashboard (main.js) and the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const CALENDARS = {
+    DIR: 'calendars/',
+    CACHE_KEY: 'exchange_calendars',
+    EXCHANGES: ['nse', 'mcx', 'comex'],
+    WARN_DAYS: 30, // warn this many days before a calendar runs out
+    WEEKDAYS: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    // Regular hours only, used until a calendar file has been loaded
+    FALLBACK: {
+        nse: { exchange: 'NSE', timezone: 'Asia/Kolkata', preOpenMinutes: 15, week: { mon: ['09:15-15:30'], tue: ['09:15-15:30'], wed: ['09:15-15:30'], thu: ['09:15-15:30'], fri: ['09:15-15:30'] } },
+        mcx: { exchange: 'MCX', timezone: 'Asia/Kolkata', week: { mon: ['09:00-23:30'], tue: ['09:00-23:30'], wed: ['09:00-23:30'], thu: ['09:00-23:30'], fri: ['09:00-23:30'] } },
+        comex: { exchange: 'COMEX', timezone: 'America/New_York', week: { sun: ['18:00-24:00'], mon: ['00:00-17:00', '18:00-24:00'], tue: ['00:00-17:00', '18:00-24:00'], wed: ['00:00-17:00', '18:00-24:00'], thu: ['00:00-17:00', '18:00-24:00'], fri: ['00:00-17:00'] } }
+    }
+};
+
+let exchangeCalendars = loadCachedCalendars(); // exchange id → parsed calendar
+const calendarErrors = {};                      // exchange id → load error message
+const fallbackCalendars = {};                   // exchange id → parsed CALENDARS.FALLBACK entry
+
+function loadCachedCalendars() {
+    try {
+        return JSON.parse(localStorage.getItem(CALENDARS.CACHE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveCachedCalendars() {
+    try {
+        localStorage.setItem(CALENDARS.CACHE_KEY, JSON.stringify(exchangeCalendars));
+    } catch (e) { }
+}
+
+/* ══════════════════════════════════════════════
+   LOADING
+══════════════════════════════════════════════ */
+
+/**
+ * Checks a calendar file and converts its session strings to minute ranges.
+ * Throws on anything malformed, so a bad edit never replaces a good calendar.
+ */
+function parseCalendar(raw) {
+    const range = s => {
+        const m = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(s);
+        const open = m && +m[1] * 60 + +m[2], close = m && +m[3] * 60 + +m[4];
+        if (!m || open >= close || close > 1440) throw new Error(`Bad session "${s}"`);
+        return [open, close];
+    };
+    const day = d => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(d)) throw new Error(`Bad date "${d}"`);
+        return d;
+    };
+    if (!raw?.timezone || !raw.week) throw new Error('Missing timezone or week');
+    new Intl.DateTimeFormat('en-US', { timeZone: raw.timezone }); // throws on an unknown zone
+
+    return {
+        exchange: raw.exchange,
+        timezone: raw.timezone,
+        validUntil: raw.validUntil ? day(raw.validUntil) : null,
+        preOpenMinutes: raw.preOpenMinutes || 0,
+        week: Object.fromEntries(CALENDARS.WEEKDAYS.map(d => [d, (raw.week[d] || []).map(range)])),
+        holidays: Object.fromEntries(Object.entries(raw.holidays || {}).map(([d, name]) => [day(d), name])),
+        special: Object.fromEntries(Object.entries(raw.special || {}).map(([d, s]) =>
+            [day(d), { name: s.name || 'Special session', sessions: (s.sessions || []).map(range) }]
+        ))
+    };
+}
+
+/**
+ * Fetches every calendar file. A file that fails to load or parse keeps the
+ * cached copy (or the regular-hours fallback) and shows up in the warning.
+ */
+async function loadCalendars() {
+    await Promise.all(CALENDARS.EXCHANGES.map(async ex => {
+        try {
+            const r = await fetch(`${CALENDARS.DIR}${ex}.json`, { cache: 'no-store' });
+            if (!r.ok) throw new Error(`HTTP ${r.status}`);
+            exchangeCalendars[ex] = parseCalendar(await r.json());
+            delete calendarErrors[ex];
+        } catch (e) {
+            calendarErrors[ex] = e.message;
+            console.error(`[AurumTrack] Failed to load the ${ex.toUpperCase()} calendar:`, e);
+        }
+    }));
+    saveCachedCalendars();
+    renderCalendarWarning();
+    document.dispatchEvent(new CustomEvent('calendars:loaded'));
+}
+
+function exchangeCalendar(ex) {
+    return exchangeCalendars[ex] || (fallbackCalendars[ex] ||= parseCalendar(CALENDARS.FALLBACK[ex]));
+}
+
+/* ══════════════════════════════════════════════
+   SESSIONS
+══════════════════════════════════════════════ */
+
+/**
+ * Sessions of an exchange on a date (in its own time zone).
+ *
+ * @returns {{ sessions: Array<[number, number]>, kind: 'regular'|'special'|'holiday'|'weekend', name: string|null }}
+ *   sessions — [open, close] minutes of the day
+ */
+function exchangeDay(ex, day) {
+    const cal = exchangeCalendar(ex);
+    if (cal.special[day]) return { sessions: cal.special[day].sessions, kind: 'special', name: cal.special[day].name };
+    if (cal.holidays[day]) return { sessions: [], kind: 'holiday', name: cal.holidays[day] };
+    const sessions = cal.week[CALENDARS.WEEKDAYS[new Date(day).getUTCDay()]];
+    return { sessions, kind: sessions.length ? 'regular' : 'weekend', name: null };
+}
+
+/**
+ * State of an exchange at an instant (its local time from the market clock, clock.js).
+ *
+ * @returns {{ day, min, schedule, session: [number, number]|null, open: boolean, preOpen: boolean }}
+ *   day / min — the exchange's local date and minute of day; schedule — exchangeDay()
+ */
+function exchangeNow(ex, ms = clockNow()) {
+    const cal = exchangeCalendar(ex);
+    const { day, min } = zonedTime(ms, cal.timezone);
+    const schedule = exchangeDay(ex, day);
+    const session = schedule.sessions.find(([open, close]) => min >= open && min < close) || null;
+    const preOpen = !session && cal.preOpenMinutes > 0 &&
+        schedule.sessions.some(([open]) => min >= open - cal.preOpenMinutes && min < open);
+    return { day, min, schedule, session, open: !!session, preOpen };
+}
+
+function isExchangeTradingDay(ex, day) {
+    return exchangeDay(ex, day).sessions.length > 0;
+}
+
+/**
+ * The first trading day of an exchange after `day` ('YYYY-MM-DD').
+ */
+function nextExchangeTradingDay(ex, day) {
+    let t = Date.parse(day);
+    for (let i = 0; i < 31; i++) {
+        t += 864e5;
+        const next = new Date(t).toISOString().slice(0, 10);
+        if (isExchangeTradingDay(ex, next)) return next;
+    }
+    return new Date(t).toISOString().slice(0, 10);
+}
+
+/* ══════════════════════════════════════════════
+   EXPIRY WARNING
+══════════════════════════════════════════════ */
+
+/**
+ * Calendars that failed to load, have run out or run out within WARN_DAYS.
+ *
+ * @returns {string[]}
+ */
+function calendarWarnings(now = clockNow()) {
+    const today = istToday(now);
+    return CALENDARS.EXCHANGES.map(ex => {
+        const cal = exchangeCalendars[ex];
+        const label = ex.toUpperCase();
+        if (!cal) return `${label} calendar not loaded${calendarErrors[ex] ? ` (${calendarErrors[ex]})` : ''} — holidays are ignored`;
+        if (!cal.validUntil) return null;
+        const days = Math.round((Date.parse(cal.validUntil) - Date.parse(today)) / 864e5);
+        if (days < 0) return `${label} calendar expired on ${cal.validUntil} — holidays are ignored`;
+        return days <= CALENDARS.WARN_DAYS ? `${label} calendar expires soon (${cal.validUntil})` : null;
+    }).filter(Boolean);
+}
+
+/**
+ * Fills the live bar's calendar warning (#calendar-warning), if the page has one.
+ */
+function renderCalendarWarning() {
+    const el = document.getElementById('calendar-warning');
+    if (!el) return;
+    const warnings = calendarWarnings();
+    el.hidden = !warnings.length;
+    el.querySelector('span').textContent = warnings.join(' · ');
+    el.title = `Update the files in ${CALENDARS.DIR} with the exchanges' latest holiday lists`;
+}
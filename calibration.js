@@ -0,0 +1,161 @@
+/**
+ * AurumTrack — Gap Model Calibration
+ * Features:
+ *  - Fits β and R² per ETF from journaled (overnight USD move, actual open gap) pairs
+ *  - Regression through the origin, matching expected_open = close × (1 + move × β)
+ *  - Rolling window chosen by the user; coefficients persisted in localStorage
+ *  - Falls back to the hardcoded GOLD_MODEL / SILVER_MODEL until enough samples exist
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const CALIB = {
+    KEY: 'model_calibration',
+    WINDOWS: [30, 60, 90, 180, 365], // days
+    DEFAULT_WINDOW: 90,
+    MIN_SAMPLES: 10,
+    SYMBOLS: ['NSE:GOLDBEES', 'NSE:SILVERBEES', 'NSE:TATAGOLD', 'NSE:TATSILV']
+};
+
+let calibration = loadCalibration();
+
+function loadCalibration() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CALIB.KEY));
+        if (saved) return saved;
+    } catch (e) { }
+    return { windowDays: CALIB.DEFAULT_WINDOW, models: {} };
+}
+
+function saveCalibration() {
+    try {
+        localStorage.setItem(CALIB.KEY, JSON.stringify(calibration));
+    } catch (e) { }
+}
+
+/* ══════════════════════════════════════════════
+   FITTING
+══════════════════════════════════════════════ */
+
+/**
+ * Least-squares fit of y = β·x (no intercept).
+ * R² is measured against the mean of y so it stays comparable with the hand-tuned values.
+ *
+ * @param {Array} pairs - [{ x, y }]
+ * @returns {{ beta: number, r2: number, n: number } | null}
+ */
+function fitThroughOrigin(pairs) {
+    const n = pairs.length;
+    if (!n) return null;
+
+    const sxx = pairs.reduce((a, p) => a + p.x * p.x, 0);
+    if (!sxx) return null;
+    const beta = pairs.reduce((a, p) => a + p.x * p.y, 0) / sxx;
+
+    const meanY = pairs.reduce((a, p) => a + p.y, 0) / n;
+    const ssRes = pairs.reduce((a, p) => a + (p.y - beta * p.x) ** 2, 0);
+    const ssTot = pairs.reduce((a, p) => a + (p.y - meanY) ** 2, 0);
+    const r2 = ssTot ? Math.max(0, 1 - ssRes / ssTot) : 0;
+
+    return { beta, r2, n };
+}
+
+/**
+ * Training pairs for an ETF from the prediction journal, within the rolling window.
+ * x = overnight USD move used for the prediction, y = realised open gap vs. last close.
+ */
+function calibrationPairs(sym, windowDays) {
+    const cutoff = Date.now() - windowDays * 864e5;
+    return settledEntries(sym)
+        .filter(e => e.overnightPct !== undefined && e.prevClose && sessionOpenMs(e.date) >= cutoff)
+        .map(e => ({ x: e.overnightPct, y: (e.actualOpen - e.prevClose) / e.prevClose }));
+}
+
+/**
+ * Refits every ETF model over the selected window and persists the result.
+ * ETFs with fewer than CALIB.MIN_SAMPLES pairs in the window drop their fit and
+ * use the default, so a model is never labelled with a window it wasn't fitted on.
+ */
+function recalibrateModels() {
+    CALIB.SYMBOLS.forEach(sym => {
+        const fit = fitThroughOrigin(calibrationPairs(sym, calibration.windowDays));
+        if (fit && fit.n >= CALIB.MIN_SAMPLES) {
+            calibration.models[sym] = { ...fit, windowDays: calibration.windowDays, fittedAt: Date.now() };
+        } else {
+            delete calibration.models[sym];
+        }
+    });
+    saveCalibration();
+    renderCalibration();
+}
+
+/**
+ * The persisted fit of an ETF, if it was fitted on the selected window.
+ */
+function currentFit(sym) {
+    const fit = calibration.models[sym];
+    return fit?.windowDays === calibration.windowDays ? fit : null;
+}
+
+/**
+ * The model renderGap() should use for an ETF: the fit for the selected window if
+ * there is one, otherwise the hardcoded default. `sigma` is the ±1σ band of
+ * realised errors (or null).
+ */
+function resolveModel(sym, fallback) {
+    const fit = currentFit(sym);
+    const sigma = predictionSigma(sym, calibration.windowDays);
+    return fit ? { beta: fit.beta, r2: fit.r2, sigma, fitted: true } : { ...fallback, sigma, fitted: false };
+}
+
+/* ══════════════════════════════════════════════
+   RENDER
+══════════════════════════════════════════════ */
+function renderCalibration() {
+    const el = document.getElementById('calibration-panel');
+    if (!el) return;
+
+    el.innerHTML = `
+        <div class="calibration-controls">
+            <label>Window
+                <select id="calibration-window" class="input-inline select-inline">
+                    ${CALIB.WINDOWS.map(d => `<option value="${d}" ${d === calibration.windowDays ? 'selected' : ''}>${d} days</option>`).join('')}
+                </select>
+            </label>
+            <button id="calibration-refit" class="chart-toggle-btn" type="button">
+                <i class="fa-solid fa-arrows-rotate"></i> Refit now
+            </button>
+        </div>
+        <table class="accuracy-table">
+            <thead>
+                <tr><th>Model</th><th>Source</th><th>β</th><th>R²</th><th>Samples</th><th>Last refit</th></tr>
+            </thead>
+            <tbody>
+                ${CALIB.SYMBOLS.map(sym => {
+                    const fit = currentFit(sym);
+                    const avail = calibrationPairs(sym, calibration.windowDays).length;
+                    return `
+                        <tr>
+                            <td>${JOURNAL.INSTRUMENTS[sym].name}</td>
+                            <td>${fit ? 'Fitted' : 'Default'}</td>
+                            <td>${fit ? fit.beta.toFixed(3) : '——'}</td>
+                            <td>${fit ? fit.r2.toFixed(2) : '——'}</td>
+                            <td>${fit ? fit.n : 0} <span class="pending">(${avail} in window)</span></td>
+                            <td>${fit ? new Date(fit.fittedAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : `Needs ${CALIB.MIN_SAMPLES} samples`}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.getElementById('calibration-window').addEventListener('change', e => {
+        calibration.windowDays = Number(e.target.value);
+        saveCalibration();
+        recalibrateModels();
+    });
+    document.getElementById('calibration-refit').addEventListener('click', recalibrateModels);
+}
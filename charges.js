@@ -0,0 +1,165 @@
+/**
+ * AurumTrack — Transaction Charges
+ * Features:
+ *  - Per-broker brokerage presets (Zerodha, Groww, Upstox) plus a custom schedule
+ *  - Statutory charges: exchange transaction charge, SEBI fee, STT, stamp duty on
+ *    buys, GST, and the depository (DP) charge on sells
+ *  - Per-transaction breakdown, or a fixed amount entered on the transaction itself
+ *  - Physical / digital gold pays GST and making charges instead (metals.js)
+ *  - netTransactions(): the ledger with charges folded into each trade's price —
+ *    buys cost more, sells fetch less — so cost basis, realized P&L, capital gains
+ *    and returns are all net
+ *
+ * Used by the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const CHARGES = {
+    KEY: 'portfolio_charges',
+    /**
+     * Percentages are of trade value; ₹ amounts are per order. Statutory rates are
+     * the NSE cash-segment schedule. Gold / silver ETFs aren't equity-oriented
+     * funds, so no STT is levied on them. Check your broker's current schedule.
+     */
+    STATUTORY: {
+        exchangePct: 0.00297,
+        sebiPct: 0.0001,
+        sttPct: 0,
+        stampBuyPct: 0.015,
+        gstPct: 18
+    },
+    BROKERS: {
+        zerodha: { name: 'Zerodha', brokeragePct: 0, brokerageMin: 0, brokerageMax: 0, dpPerSell: 13.5 },
+        groww: { name: 'Groww', brokeragePct: 0.1, brokerageMin: 5, brokerageMax: 20, dpPerSell: 13.5 },
+        upstox: { name: 'Upstox', brokeragePct: 2.5, brokerageMin: 0, brokerageMax: 20, dpPerSell: 18.5 },
+        none: { name: 'No charges', brokeragePct: 0, brokerageMin: 0, brokerageMax: 0, dpPerSell: 0, statutory: false }
+    },
+    FIELDS: [
+        ['brokeragePct', 'Brokerage %'],
+        ['brokerageMin', 'Min ₹ / order'],
+        ['brokerageMax', 'Max ₹ / order'],
+        ['exchangePct', 'Exchange txn %'],
+        ['sebiPct', 'SEBI fee %'],
+        ['sttPct', 'STT %'],
+        ['stampBuyPct', 'Stamp duty % (buy)'],
+        ['gstPct', 'GST %'],
+        ['dpPerSell', 'DP ₹ / sell']
+    ],
+    // Breakdown lines, in display order
+    BREAKDOWN: [
+        ['brokerage', 'Brokerage'],
+        ['exchange', 'Exchange'],
+        ['sebi', 'SEBI'],
+        ['stt', 'STT'],
+        ['stamp', 'Stamp'],
+        ['dp', 'DP'],
+        ['making', 'Making'],
+        ['gst', 'GST']
+    ]
+};
+
+/* ══════════════════════════════════════════════
+   MODEL
+══════════════════════════════════════════════ */
+
+/**
+ * Full rate schedule for a broker preset.
+ */
+function brokerSchedule(broker) {
+    const { name, statutory = true, ...rates } = CHARGES.BROKERS[broker] || CHARGES.BROKERS.zerodha;
+    const base = statutory ? CHARGES.STATUTORY : Object.fromEntries(Object.keys(CHARGES.STATUTORY).map(k => [k, 0]));
+    return { ...base, ...rates };
+}
+
+/**
+ * Saved model: { broker: preset id | 'custom', rates }.
+ */
+function loadChargeModel() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CHARGES.KEY));
+        if (saved?.rates) return saved;
+    } catch (e) { }
+    return { broker: 'zerodha', rates: brokerSchedule('zerodha') };
+}
+
+function saveChargeModel(model) {
+    localStorage.setItem(CHARGES.KEY, JSON.stringify(model));
+}
+
+/* ══════════════════════════════════════════════
+   CALCULATION
+══════════════════════════════════════════════ */
+
+/**
+ * Charges on one order.
+ *
+ * @param {object} tx     - { type, units, price }
+ * @param {object} rates  - Rate schedule
+ * @param {boolean} withDp - Whether this sell carries the day's DP charge
+ * @returns {{ brokerage, exchange, sebi, stt, stamp, dp, gst, total }}
+ */
+function orderCharges(tx, rates, withDp) {
+    const value = Math.abs(tx.units) * tx.price;
+    const pct = p => value * (p || 0) / 100;
+
+    let brokerage = pct(rates.brokeragePct);
+    if (rates.brokerageMax) brokerage = Math.min(brokerage, rates.brokerageMax);
+    brokerage = Math.max(brokerage, rates.brokerageMin || 0);
+
+    const exchange = pct(rates.exchangePct);
+    const sebi = pct(rates.sebiPct);
+    const stt = pct(rates.sttPct);
+    const stamp = tx.type === 'buy' ? pct(rates.stampBuyPct) : 0;
+    const dp = withDp ? rates.dpPerSell || 0 : 0;
+    const gst = (brokerage + exchange + sebi + dp) * (rates.gstPct || 0) / 100;
+
+    return { brokerage, exchange, sebi, stt, stamp, dp, gst, total: brokerage + exchange + sebi + stt + stamp + dp + gst };
+}
+
+/**
+ * Charges for every transaction (id → breakdown). The DP charge is levied once
+ * per account, asset and day on which it's sold; a number in tx.charges replaces the model.
+ * Physical and digital gold aren't broker trades and carry GST / making charges instead.
+ */
+function ledgerCharges(transactions, model) {
+    const dpCharged = new Set();
+    const out = {};
+    chronological(transactions).forEach(tx => {
+        if (typeof tx.charges === 'number') {
+            out[tx.id] = { total: tx.charges, manual: true };
+            return;
+        }
+        const kind = holdingKind(tx.asset);
+        if (METALS.CHARGES[kind]) {
+            out[tx.id] = metalOrderCharges(tx, kind);
+            return;
+        }
+        const dpKey = `${tx.account}|${tx.asset}|${istDay(tx.date)}`;
+        const withDp = tx.type === 'sell' && !dpCharged.has(dpKey);
+        if (withDp) dpCharged.add(dpKey);
+        out[tx.id] = orderCharges(tx, model.rates, withDp);
+    });
+    return out;
+}
+
+/**
+ * Copies of the transactions with charges folded into the price (per unit).
+ * Each copy keeps grossPrice and its charges total.
+ */
+function netTransactions(transactions, model) {
+    const charges = ledgerCharges(transactions, model);
+    return transactions.map(tx => {
+        const units = Math.abs(tx.units);
+        const perUnit = units ? charges[tx.id].total / units : 0;
+        return {
+            ...tx,
+            grossPrice: tx.price,
+            price: tx.type === 'buy' ? tx.price + perUnit : tx.price - perUnit,
+            chargesTotal: charges[tx.id].total
+        };
+    });
+}
@@ -0,0 +1,154 @@
+/**
+ * AurumTrack — Lightweight SVG Charts
+ * Features:
+ *  - Candlestick chart for OHLC bars (no external charting library)
+ *  - Multi-series line chart (portfolio equity curve)
+ *  - Auto-scaled price axis with high / low / last labels
+ *  - IST time labels on the x-axis
+ */
+
+'use strict';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Format a bar timestamp for the x-axis. Short ranges show time, long ranges show date.
+ */
+function chartTimeLabel(ts, spanMs) {
+    const opts = spanMs > 2 * 864e5
+        ? { day: 'numeric', month: 'short', timeZone: 'Asia/Kolkata' }
+        : { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Kolkata' };
+    return new Date(ts).toLocaleString('en-IN', opts);
+}
+
+function chartPriceLabel(n, dec) {
+    return new Intl.NumberFormat('en-IN', {
+        minimumFractionDigits: dec,
+        maximumFractionDigits: dec
+    }).format(n);
+}
+
+function svgEl(tag, attrs) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+    return el;
+}
+
+/**
+ * Renders OHLC bars as an SVG candlestick chart into `el`.
+ *
+ * @param {HTMLElement} el    - Container (its width is used as the chart width)
+ * @param {Array} bars        - [{ t, o, h, l, c }] sorted by t ascending
+ * @param {object} opts       - { height, dec }
+ */
+function renderCandleChart(el, bars, opts = {}) {
+    if (!bars.length) {
+        el.innerHTML = '<div class="chart-empty">No history recorded yet for this range.</div>';
+        return;
+    }
+
+    const W = el.clientWidth || 280;
+    const H = opts.height || 160;
+    const dec = opts.dec ?? 2;
+    const pad = { l: 4, r: 56, t: 10, b: 20 };
+
+    const hi = Math.max(...bars.map(b => b.h));
+    const lo = Math.min(...bars.map(b => b.l));
+    const range = (hi - lo) || Math.abs(hi) * 0.001 || 1;
+    const plotW = W - pad.l - pad.r;
+    const plotH = H - pad.t - pad.b;
+    const step = plotW / bars.length;
+    const bodyW = Math.max(1, step * 0.6);
+    const y = v => pad.t + (hi - v) / range * plotH;
+
+    const svg = svgEl('svg', { width: W, height: H, class: 'chart-svg' });
+
+    // Grid lines at high / low
+    [hi, lo].forEach(v => {
+        svg.appendChild(svgEl('line', { x1: pad.l, x2: W - pad.r, y1: y(v), y2: y(v), class: 'chart-grid' }));
+    });
+
+    bars.forEach((b, i) => {
+        const cx = pad.l + step * i + step / 2;
+        const cls = b.c >= b.o ? 'up' : 'down';
+        svg.appendChild(svgEl('line', { x1: cx, x2: cx, y1: y(b.h), y2: y(b.l), class: `chart-wick ${cls}` }));
+        const top = y(Math.max(b.o, b.c));
+        const bodyH = Math.max(1, Math.abs(y(b.o) - y(b.c)));
+        svg.appendChild(svgEl('rect', { x: cx - bodyW / 2, y: top, width: bodyW, height: bodyH, class: `chart-body ${cls}` }));
+    });
+
+    // Price axis: high, low and last close
+    const last = bars[bars.length - 1].c;
+    [[hi, 'chart-axis'], [lo, 'chart-axis'], [last, 'chart-axis chart-last']].forEach(([v, cls]) => {
+        const t = svgEl('text', { x: W - pad.r + 6, y: y(v) + 4, class: cls });
+        t.textContent = chartPriceLabel(v, dec);
+        svg.appendChild(t);
+    });
+
+    // Time axis: first and last bar
+    const span = bars[bars.length - 1].t - bars[0].t;
+    const first = svgEl('text', { x: pad.l, y: H - 4, class: 'chart-axis' });
+    first.textContent = chartTimeLabel(bars[0].t, span);
+    const end = svgEl('text', { x: W - pad.r, y: H - 4, class: 'chart-axis', 'text-anchor': 'end' });
+    end.textContent = chartTimeLabel(bars[bars.length - 1].t, span);
+    svg.append(first, end);
+
+    el.innerHTML = '';
+    el.appendChild(svg);
+}
+
+/**
+ * Renders line series on a shared, auto-scaled axis into `el`.
+ *
+ * @param {HTMLElement} el
+ * @param {Array} series - [{ points: [{ t, v }], cls }]; the first series gets the last-value label
+ * @param {object} opts  - { height, dec, empty }
+ */
+function renderLineChart(el, series, opts = {}) {
+    const all = series.flatMap(s => s.points);
+    if (all.length < 2) {
+        el.innerHTML = `<div class="chart-empty">${opts.empty || 'Not enough history yet.'}</div>`;
+        return;
+    }
+
+    const W = el.clientWidth || 280;
+    const H = opts.height || 200;
+    const dec = opts.dec ?? 0;
+    const pad = { l: 4, r: 72, t: 10, b: 20 };
+
+    const hi = Math.max(...all.map(p => p.v));
+    const lo = Math.min(...all.map(p => p.v));
+    const range = (hi - lo) || Math.abs(hi) * 0.001 || 1;
+    const t0 = Math.min(...all.map(p => p.t));
+    const t1 = Math.max(...all.map(p => p.t));
+    const x = t => pad.l + (t - t0) / ((t1 - t0) || 1) * (W - pad.l - pad.r);
+    const y = v => pad.t + (hi - v) / range * (H - pad.t - pad.b);
+
+    const svg = svgEl('svg', { width: W, height: H, class: 'chart-svg' });
+
+    [hi, lo].forEach(v => {
+        svg.appendChild(svgEl('line', { x1: pad.l, x2: W - pad.r, y1: y(v), y2: y(v), class: 'chart-grid' }));
+    });
+
+    series.forEach(s => {
+        if (!s.points.length) return;
+        const d = s.points.map((p, i) => `${i ? 'L' : 'M'}${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join('');
+        svg.appendChild(svgEl('path', { d, class: `chart-line ${s.cls || ''}` }));
+    });
+
+    const last = series[0].points[series[0].points.length - 1]?.v;
+    [[hi, 'chart-axis'], [lo, 'chart-axis'], ...(last === undefined ? [] : [[last, 'chart-axis chart-last']])].forEach(([v, cls]) => {
+        const t = svgEl('text', { x: W - pad.r + 6, y: y(v) + 4, class: cls });
+        t.textContent = chartPriceLabel(v, dec);
+        svg.appendChild(t);
+    });
+
+    const first = svgEl('text', { x: pad.l, y: H - 4, class: 'chart-axis' });
+    first.textContent = chartTimeLabel(t0, t1 - t0);
+    const end = svgEl('text', { x: W - pad.r, y: H - 4, class: 'chart-axis', 'text-anchor': 'end' });
+    end.textContent = chartTimeLabel(t1, t1 - t0);
+    svg.append(first, end);
+
+    el.innerHTML = '';
+    el.appendChild(svg);
+}
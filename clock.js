@@ -0,0 +1,178 @@
+/**
+ * AurumTrack — Market Clock
+ * Features:
+ *  - Wall-clock date / time in any IANA time zone via Intl — independent of the
+ *    browser's own time zone and DST (virtual while a replay runs)
+ *  - IST helpers (istTime, istToday, istString) used across both pages
+ *  - IST, New York and London times in the live bar
+ *  - Next open / close of each exchange from its calendar (calendars.js), with
+ *    the time in all three zones, and a countdown to the soonest session change
+ *
+ * Shared by the dashboard (main.js) and the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const MARKET_CLOCK = {
+    IST: 'Asia/Kolkata',
+    // Zones shown in the live bar and the session-event tooltip
+    ZONES: [
+        { label: 'IST', timeZone: 'Asia/Kolkata' },
+        { label: 'NY', timeZone: 'America/New_York' },
+        { label: 'LDN', timeZone: 'Europe/London' }
+    ],
+    EXCHANGES: { nse: 'NSE', mcx: 'MCX', comex: 'COMEX' },
+    LOOKAHEAD_DAYS: 14 // how far ahead to look for the next session
+};
+
+const zoneFormats = {}; // time zone → Intl.DateTimeFormat
+
+/* ══════════════════════════════════════════════
+   TIME ZONES
+══════════════════════════════════════════════ */
+
+/**
+ * Wall-clock date and time of an instant in a time zone.
+ *
+ * @returns {{ day: string, min: number, sec: number, dow: number, time: string }}
+ *   day 'YYYY-MM-DD'; min — minute of the day; dow — 0 = Sunday; time 'HH:MM:SS'
+ */
+function zonedTime(ms, timeZone) {
+    const format = zoneFormats[timeZone] ||= new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+    });
+    const p = Object.fromEntries(format.formatToParts(ms).map(({ type, value }) => [type, value]));
+    const day = `${p.year}-${p.month}-${p.day}`;
+    return {
+        day,
+        min: +p.hour * 60 + +p.minute,
+        sec: +p.second,
+        dow: new Date(day).getUTCDay(),
+        time: `${p.hour}:${p.minute}:${p.second}`
+    };
+}
+
+/**
+ * The instant (ms) at which a time zone's clock reads `min` minutes into `day`.
+ * Wall times skipped by a DST change resolve to the instant just after the gap.
+ */
+function zonedToUtc(day, min, timeZone) {
+    const wall = Date.parse(day) + min * 60e3;
+    const offsetAt = ms => {
+        const z = zonedTime(ms, timeZone);
+        return Date.parse(z.day) + z.min * 60e3 + z.sec * 1e3 - Math.floor(ms / 1e3) * 1e3;
+    };
+    const guess = wall - offsetAt(wall);
+    return wall - offsetAt(guess);
+}
+
+function istTime(ms = clockNow()) {
+    return zonedTime(ms, MARKET_CLOCK.IST);
+}
+
+/**
+ * IST date 'YYYY-MM-DD' of an instant (default: now).
+ */
+function istToday(ms = clockNow()) {
+    return istTime(ms).day;
+}
+
+/**
+ * 'HH:MM:SS' in IST.
+ */
+function istString(ms = clockNow()) {
+    return istTime(ms).time;
+}
+
+/* ══════════════════════════════════════════════
+   SESSION EVENTS
+══════════════════════════════════════════════ */
+
+/**
+ * Next session change of an exchange: its next open if it's closed, otherwise
+ * the close of the current session. Back-to-back sessions (COMEX's 24:00 /
+ * 00:00 split) count as one.
+ *
+ * @returns {{ ex: string, type: 'open'|'close', at: number, name: string|null }|null}
+ *   name — holiday-calendar name of the session's day (special sessions)
+ */
+function nextSessionEvent(ex, now = clockNow()) {
+    const { timezone } = exchangeCalendar(ex);
+    let t = Date.parse(zonedTime(now, timezone).day);
+    let current = null; // the session in progress, while we look for where it ends
+
+    for (let i = 0; i <= MARKET_CLOCK.LOOKAHEAD_DAYS; i++, t += 864e5) {
+        const day = new Date(t).toISOString().slice(0, 10);
+        const { sessions, name } = exchangeDay(ex, day);
+        for (const [open, close] of sessions) {
+            const openAt = zonedToUtc(day, open, timezone);
+            const closeAt = zonedToUtc(day, close, timezone);
+            if (current && openAt > current.at) return current;
+            if (closeAt <= now) continue;
+            if (openAt > now && !current) return { ex, type: 'open', at: openAt, name };
+            current = { ex, type: 'close', at: closeAt, name };
+        }
+    }
+    return current;
+}
+
+/**
+ * Next session change of every exchange, soonest first.
+ */
+function nextSessionEvents(now = clockNow()) {
+    return Object.keys(MARKET_CLOCK.EXCHANGES)
+        .map(ex => nextSessionEvent(ex, now))
+        .filter(Boolean)
+        .sort((a, b) => a.at - b.at);
+}
+
+/* ══════════════════════════════════════════════
+   RENDER
+══════════════════════════════════════════════ */
+
+/**
+ * "2h 05m" / "4m 10s" until `ms`.
+ */
+function fmtTimeUntil(ms) {
+    const s = Math.max(0, Math.round(ms / 1000));
+    const d = Math.floor(s / 86400), h = Math.floor(s / 3600) % 24, m = Math.floor(s / 60) % 60;
+    if (d) return `${d}d ${h}h`;
+    if (h) return `${h}h ${String(m).padStart(2, '0')}m`;
+    return `${m}m ${String(s % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * "Mon 09:15 IST · 23:45 NY · 04:45 LDN" — an instant in every clock zone.
+ */
+function fmtZoneTimes(ms) {
+    const dow = zonedTime(ms, MARKET_CLOCK.IST).dow;
+    return `${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][dow]} ` + MARKET_CLOCK.ZONES
+        .map(({ label, timeZone }) => `${zonedTime(ms, timeZone).time.slice(0, 5)} ${label}`)
+        .join(' · ');
+}
+
+/**
+ * New York / London times (#world-clock) and the countdown to the soonest session
+ * change (#session-next) in the live bar; its tooltip lists every exchange.
+ */
+function renderMarketClock(now = clockNow()) {
+    const worldEl = document.getElementById('world-clock');
+    if (worldEl) {
+        worldEl.textContent = MARKET_CLOCK.ZONES.filter(z => z.timeZone !== MARKET_CLOCK.IST)
+            .map(({ label, timeZone }) => `${label} ${zonedTime(now, timeZone).time.slice(0, 5)}`)
+            .join(' · ');
+    }
+
+    const nextEl = document.getElementById('session-next');
+    if (!nextEl) return;
+    const events = nextSessionEvents(now);
+    const describe = e => `${MARKET_CLOCK.EXCHANGES[e.ex]} ${e.type === 'open' ? 'opens' : 'closes'}`;
+    nextEl.textContent = events.length ? `${describe(events[0])} in ${fmtTimeUntil(events[0].at - now)}` : '--';
+    nextEl.title = events.map(e =>
+        `${describe(e)} ${fmtZoneTimes(e.at)}${e.name ? ` (${e.name})` : ''}`
+    ).join('\n');
+}
@@ -0,0 +1,76 @@
+/**
+ * AurumTrack — Shared Page Helpers
+ * Features:
+ *  - Number formatting (en-IN)
+ *  - Light / dark theme toggle persisted in localStorage
+ *  - Live IST / New York / London clock, the next session change (clock.js) and
+ *    the "next refresh" countdown in the live bar
+ *
+ * Shared by the dashboard (main.js) and the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   FORMATTING
+══════════════════════════════════════════════ */
+function fmt(n, dec = 2) {
+    if (!n && n !== 0) return '——';
+    return new Intl.NumberFormat('en-IN', {
+        minimumFractionDigits: dec,
+        maximumFractionDigits: dec
+    }).format(n);
+}
+
+// For user-entered text (notes, names) placed into innerHTML
+function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/* ══════════════════════════════════════════════
+   THEME
+══════════════════════════════════════════════ */
+function initTheme() {
+    const saved = localStorage.getItem('theme') || 'dark';
+    applyTheme(saved);
+
+    document.getElementById('theme-toggle').addEventListener('click', () => {
+        const next = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+        applyTheme(next);
+        localStorage.setItem('theme', next);
+    });
+}
+
+function applyTheme(theme) {
+    document.documentElement.setAttribute('data-theme', theme);
+    document.getElementById('theme-icon').className = theme === 'dark' ? 'fa-solid fa-moon' : 'fa-solid fa-sun';
+}
+
+/* ══════════════════════════════════════════════
+   LIVE BAR
+══════════════════════════════════════════════ */
+
+/**
+ * Ticks the market clock every second.
+ *
+ * @param {Function} [onTick] - Extra per-second work, called with the current time (ms)
+ */
+function startLiveClock(onTick) {
+    const clockEl = document.getElementById('live-clock');
+    function tick() {
+        const now = clockNow();
+        clockEl.textContent = istString(now) + ' IST';
+        renderMarketClock(now);
+        onTick?.(now);
+    }
+    tick();
+    setInterval(tick, 1000);
+}
+
+// Shows the real time until the next fetch (whichever tab polls)
+function startCountdown() {
+    const el = document.getElementById('countdown');
+    setInterval(() => {
+        el.textContent = fmtCountdown(marketNextPollIn());
+    }, 1000);
+}
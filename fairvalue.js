@@ -0,0 +1,217 @@
+/**
+ * AurumTrack — ETF Fair Value & Premium / Discount
+ * Features:
+ *  - Implied fair value (an estimated iNAV) of each metal ETF: grams of metal per
+ *    unit × the landed INR-per-gram price of TVC:GOLD / TVC:SILVER × USDINR
+ *    (landedcost.js) — the price the fund actually pays for its metal
+ *  - Grams per unit shrink with the expense ratio from the date they were taken
+ *    from the factsheet (registry `fairValue: { grams, asOf, expenseRatio }`)
+ *  - Live premium / discount % on each ETF card
+ *  - Daily premium history (last reading of each NSE session) with the average,
+ *    spread and z-score of today's reading — flags an unusually wide discount
+ *
+ * Used by the dashboard (main.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const FAIRVALUE = {
+    KEY: 'etf_premium_history',
+    MAX_DAYS: 365,
+    HISTORY_ROWS: 20,
+    MIN_SAMPLES: 10,  // sessions of history before a z-score is shown
+    UNUSUAL_Z: 1.5    // |z| beyond this is an unusually wide premium / discount
+};
+
+let premiumHistory = loadPremiumHistory(); // 'YYYY-MM-DD' → { sym → { price, fair, premium } }
+
+function loadPremiumHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(FAIRVALUE.KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function savePremiumHistory() {
+    try {
+        localStorage.setItem(FAIRVALUE.KEY, JSON.stringify(premiumHistory));
+    } catch (e) { }
+}
+
+/* ══════════════════════════════════════════════
+   FAIR VALUE
+══════════════════════════════════════════════ */
+
+/**
+ * Registry instruments that carry fair-value metadata.
+ */
+function fairValueInstruments() {
+    return getInstruments().filter(i => i.fairValue?.grams > 0);
+}
+
+/**
+ * Metal per unit today: the factsheet figure less the expense ratio accrued since.
+ */
+function gramsPerUnit({ grams, asOf, expenseRatio = 0 }, now = clockNow()) {
+    const years = asOf ? Math.max(0, (now - Date.parse(asOf)) / (365 * 864e5)) : 0;
+    return grams * (1 - expenseRatio / 100) ** years;
+}
+
+/**
+ * Implied fair value and premium (fraction; > 0 means the ETF trades rich) of an
+ * ETF, or null when any input is missing or stale. Factsheet grams are real grams,
+ * so they're priced per troy gram with duty (not the display CFG.GRAMS_PER_OZ).
+ */
+function etfPremium(inst) {
+    const spot = inst.metal === 'gold' ? S.xau : inst.metal === 'silver' ? S.xag : null;
+    const etf = S[inst.key];
+    if (!isFresh(spot) || !isFresh(S.usdinr) || !isFresh(etf)) return null;
+
+    const fair = gramsPerUnit(inst.fairValue) * landedParityG(inst.metal, spot.cur, S.usdinr.cur);
+    return { price: etf.cur, fair, premium: etf.cur / fair - 1 };
+}
+
+/* ══════════════════════════════════════════════
+   HISTORY
+══════════════════════════════════════════════ */
+
+/**
+ * Stores the current premium of every ETF as today's reading. Only in session —
+ * outside it the ETF price is a stale close against a moving spot price. Saved
+ * only when a reading changed (to 0.01%), not on every poll.
+ */
+function recordPremiums() {
+    if (!isNseOpen() || isReplayActive()) return;
+
+    const today = istToday();
+    let changed = false;
+    fairValueInstruments().forEach(inst => {
+        const p = etfPremium(inst);
+        if (!p) return;
+        const reading = { price: p.price, fair: +p.fair.toFixed(4), premium: +p.premium.toFixed(4) };
+        const stored = premiumHistory[today]?.[inst.sym];
+        if (stored && stored.price === reading.price && stored.premium === reading.premium) return;
+        (premiumHistory[today] ||= {})[inst.sym] = reading;
+        changed = true;
+    });
+    if (!changed) return;
+
+    const cutoff = istToday(clockNow() - FAIRVALUE.MAX_DAYS * 864e5);
+    Object.keys(premiumHistory).forEach(day => { if (day < cutoff) delete premiumHistory[day]; });
+    savePremiumHistory();
+}
+
+/**
+ * Premium readings of an ETF, oldest first.
+ */
+function premiumSeries(sym) {
+    return Object.keys(premiumHistory).sort()
+        .filter(day => premiumHistory[day][sym])
+        .map(day => ({ day, ...premiumHistory[day][sym] }));
+}
+
+/**
+ * Mean and standard deviation of past sessions' premiums, and the z-score of `current`.
+ *
+ * @returns {{ n, mean, sd, min, max, z }|null} z is null until there are MIN_SAMPLES sessions
+ */
+function premiumStats(sym, current) {
+    const today = istToday();
+    const past = premiumSeries(sym).filter(r => r.day < today).map(r => r.premium);
+    if (!past.length) return null;
+
+    const n = past.length;
+    const mean = past.reduce((a, x) => a + x, 0) / n;
+    const sd = n > 1 ? Math.sqrt(past.reduce((a, x) => a + (x - mean) ** 2, 0) / (n - 1)) : 0;
+    const z = n >= FAIRVALUE.MIN_SAMPLES && sd > 0 && current != null ? (current - mean) / sd : null;
+    return { n, mean, sd, min: Math.min(...past), max: Math.max(...past), z };
+}
+
+/* ══════════════════════════════════════════════
+   RENDER
+══════════════════════════════════════════════ */
+
+function fmtPremium(p) {
+    return `${p >= 0 ? '+' : ''}${fmt(p * 100)}%`;
+}
+
+/**
+ * Fair-value row on each ETF card, the summary cards and the history table.
+ */
+function renderFairValues() {
+    const open = isNseOpen();
+    const live = {};
+
+    fairValueInstruments().forEach(inst => {
+        const p = etfPremium(inst);
+        live[inst.sym] = p;
+        const id = instrumentDomId(inst);
+        const fairEl = document.getElementById(`${id}-fair`);
+        const premEl = document.getElementById(`${id}-premium`);
+        if (!fairEl || !premEl) return;
+
+        fairEl.textContent = p ? `₹${fmt(p.fair, inst.decimals)}` : '--';
+        premEl.textContent = p ? `${fmtPremium(p.premium)}${open ? '' : ' · last close'}` : '';
+        premEl.className = `spread-pct ${p ? (p.premium >= 0 ? 'up' : 'down') : ''}`;
+        premEl.title = p ? `${p.premium >= 0 ? 'Premium' : 'Discount'} to fair value` : '';
+    });
+
+    renderPremiumPanel(live);
+}
+
+function renderPremiumPanel(live) {
+    const summaryEl = document.getElementById('premium-summary');
+    const tableEl = document.getElementById('premium-history');
+    if (!summaryEl || !tableEl) return;
+
+    const insts = fairValueInstruments();
+    summaryEl.innerHTML = insts.map(inst => {
+        const p = live[inst.sym];
+        const st = premiumStats(inst.sym, p?.premium);
+        const unusual = st?.z != null && Math.abs(st.z) >= FAIRVALUE.UNUSUAL_Z;
+        const { grams, expenseRatio = 0 } = inst.fairValue;
+        return `
+            <div class="accuracy-card ${unusual ? 'premium-unusual' : ''}">
+                <div class="accuracy-name">${escapeHtml(inst.name)}</div>
+                <div class="accuracy-mae ${p ? (p.premium >= 0 ? 'text-up' : 'text-down') : ''}">
+                    ${p ? fmtPremium(p.premium) : '——'} <span>${p ? `fair ₹${fmt(p.fair, inst.decimals)}` : 'waiting for fresh prices'}</span>
+                </div>
+                <div class="accuracy-meta">
+                    ${st ? `Avg ${fmtPremium(st.mean)} · range ${fmtPremium(st.min)} to ${fmtPremium(st.max)} · ${st.n} session${st.n === 1 ? '' : 's'}` : 'No history yet'}
+                    ${st?.z != null ? ` · z ${st.z >= 0 ? '+' : ''}${st.z.toFixed(1)}` : ''}
+                </div>
+                ${unusual ? `<div class="accuracy-meta ${st.z < 0 ? 'text-up' : 'text-down'}">${st.z < 0 ? 'Unusually wide discount' : 'Unusually rich premium'}</div>` : ''}
+                <div class="accuracy-meta">${fmt(gramsPerUnit(inst.fairValue), 5)} g / unit · TER ${fmt(expenseRatio)}% (${fmt(grams, 5)} g at ${inst.fairValue.asOf})</div>
+            </div>
+        `;
+    }).join('');
+
+    const days = Object.keys(premiumHistory).sort().reverse().slice(0, FAIRVALUE.HISTORY_ROWS);
+    if (!days.length) {
+        tableEl.innerHTML = '<div class="empty-analytics">Premiums are recorded while NSE is in session.</div>';
+        return;
+    }
+
+    tableEl.innerHTML = `
+        <table class="accuracy-table">
+            <thead>
+                <tr><th>Session</th>${insts.map(i => `<th>${escapeHtml(i.name)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${days.map(day => `
+                    <tr>
+                        <td>${day}</td>
+                        ${insts.map(i => {
+                            const r = premiumHistory[day][i.sym];
+                            return `<td class="${r ? (r.premium >= 0 ? 'text-up' : 'text-down') : ''}">${r ? fmtPremium(r.premium) : '——'}</td>`;
+                        }).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
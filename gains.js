@@ -0,0 +1,217 @@
+/**
+ * AurumTrack — Lot Accounting & Capital Gains
+ * Features:
+ *  - FIFO matching of every sell against the oldest open buy lots of the same asset
+ *  - Holding period and STCG / LTCG classification per matched lot, under the rules
+ *    for listed gold / silver ETFs, SGBs and physical / digital gold (see GAINS.RULES)
+ *  - Financial-year (April–March) capital-gains statement with CSV export
+ *
+ * Used by the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const GAINS = {
+    METHOD_KEY: 'portfolio_cost_method', // 'fifo' | 'average' — how holdings are shown
+    /**
+     * Rules checked top to bottom (dates are the sell / buy day in IST); `kinds`
+     * limits a rule to some holding kinds (metals.js holdingKind):
+     *  - ETFs bought 1 Apr 2023 – 31 Mar 2025 and sold before 1 Apr 2025: "specified
+     *    mutual fund" under Sec 50AA — always short-term, taxed at slab.
+     *  - Physical / digital gold sold on or after 23 Jul 2024: unlisted, long-term
+     *    after 24 months at 12.5%.
+     *  - ETFs and SGBs sold on or after 23 Jul 2024: listed, long-term after 12 months
+     *    at 12.5% without indexation; otherwise short-term at slab. (SGBs redeemed with
+     *    the RBI at maturity are tax-free — not modelled.)
+     *  - Sold before 23 Jul 2024: long-term after 36 months at 20% with indexation.
+     */
+    RULES: [
+        {
+            kinds: ['etf'],
+            applies: (buy, sell) => buy >= '2023-04-01' && buy < '2025-04-01' && sell < '2025-04-01',
+            ltcgAfterMonths: Infinity,
+            ltcgRate: null,
+            note: 'Sec 50AA — deemed short-term'
+        },
+        {
+            kinds: ['physical', 'digital'],
+            applies: (buy, sell) => sell >= '2024-07-23',
+            ltcgAfterMonths: 24,
+            ltcgRate: '12.5%',
+            note: 'Unlisted gold — LTCG after 24 months'
+        },
+        {
+            applies: (buy, sell) => sell >= '2024-07-23',
+            ltcgAfterMonths: 12,
+            ltcgRate: '12.5%',
+            note: 'Listed ETF / SGB — LTCG after 12 months'
+        },
+        {
+            applies: () => true,
+            ltcgAfterMonths: 36,
+            ltcgRate: '20% (indexed)',
+            note: 'Pre-23 Jul 2024 — LTCG after 36 months'
+        }
+    ],
+    STCG_RATE: 'Slab'
+};
+
+/* ══════════════════════════════════════════════
+   DATES
+══════════════════════════════════════════════ */
+
+/**
+ * 'YYYY-MM-DD' of an ISO timestamp in IST.
+ */
+function istDay(iso) {
+    return new Date(Date.parse(iso) + 5.5 * 3600e3).toISOString().slice(0, 10);
+}
+
+function addMonthsToDay(day, months) {
+    const [y, m, d] = day.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1 + months, d)).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDay, toDay) {
+    return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / 864e5);
+}
+
+/**
+ * Financial year label of a day, e.g. '2025-06-10' → 'FY 2025-26'.
+ */
+function financialYear(day) {
+    const [y, m] = day.split('-').map(Number);
+    const start = m >= 4 ? y : y - 1;
+    return `FY ${start}-${String(start + 1).slice(2)}`;
+}
+
+/* ══════════════════════════════════════════════
+   CLASSIFICATION
+══════════════════════════════════════════════ */
+
+/**
+ * STCG / LTCG for one matched lot.
+ *
+ * @param {string} buyDay  - 'YYYY-MM-DD' (IST)
+ * @param {string} sellDay - 'YYYY-MM-DD' (IST)
+ * @param {string} [kind]  - Holding kind (metals.js holdingKind)
+ * @returns {{ term: string, rate: string, note: string, ltcgAfter: string|null }}
+ *   ltcgAfter — last short-term day (null when the lot can never turn long-term)
+ */
+function classifyGain(buyDay, sellDay, kind = 'etf') {
+    const rule = GAINS.RULES.find(r => (!r.kinds || r.kinds.includes(kind)) && r.applies(buyDay, sellDay));
+    // "More than N months": long-term from the day after the N-month anniversary
+    const ltcgAfter = Number.isFinite(rule.ltcgAfterMonths) ? addMonthsToDay(buyDay, rule.ltcgAfterMonths) : null;
+    const isLong = ltcgAfter !== null && sellDay > ltcgAfter;
+    return {
+        term: isLong ? 'LTCG' : 'STCG',
+        rate: isLong ? rule.ltcgRate : GAINS.STCG_RATE,
+        note: rule.note,
+        ltcgAfter
+    };
+}
+
+/* ══════════════════════════════════════════════
+   FIFO MATCHING
+══════════════════════════════════════════════ */
+
+/**
+ * Transactions oldest first (ties keep entry order).
+ */
+function chronological(transactions) {
+    return [...transactions].sort((a, b) => Date.parse(a.date) - Date.parse(b.date) || a.id - b.id);
+}
+
+/**
+ * Matches every sell against the oldest open buy lots of the same asset.
+ *
+ * @param {Array} transactions - Portfolio transactions
+ * @returns {{ lots: object, matches: Array, unmatched: Array }}
+ *   lots      — asset → open lots [{ txId, date, units, price }], oldest first
+ *   matches   — one row per (sell, buy lot) pair with gain and classification
+ *   unmatched — sells (or parts of sells) with no buy lot left to match
+ */
+function matchLotsFifo(transactions) {
+    const lots = {};
+    const matches = [];
+    const unmatched = [];
+
+    chronological(transactions).forEach(tx => {
+        const open = lots[tx.asset] ||= [];
+
+        if (tx.type === 'buy') {
+            open.push({ txId: tx.id, date: tx.date, units: tx.units, price: tx.price });
+            return;
+        }
+
+        let remaining = Math.abs(tx.units);
+        while (remaining > 1e-9 && open.length) {
+            const lot = open[0];
+            const units = Math.min(lot.units, remaining);
+            const buyDay = istDay(lot.date);
+            const sellDay = istDay(tx.date);
+
+            matches.push({
+                asset: tx.asset,
+                sellTxId: tx.id,
+                buyTxId: lot.txId,
+                buyDay,
+                sellDay,
+                units,
+                buyPrice: lot.price,
+                sellPrice: tx.price,
+                cost: units * lot.price,
+                proceeds: units * tx.price,
+                gain: units * (tx.price - lot.price),
+                holdingDays: daysBetween(buyDay, sellDay),
+                ...classifyGain(buyDay, sellDay, holdingKind(tx.asset))
+            });
+
+            lot.units -= units;
+            remaining -= units;
+            if (lot.units <= 1e-9) open.shift();
+        }
+        if (remaining > 1e-9) unmatched.push({ txId: tx.id, asset: tx.asset, units: remaining });
+    });
+
+    return { lots, matches, unmatched };
+}
+
+/* ══════════════════════════════════════════════
+   FINANCIAL-YEAR STATEMENT
+══════════════════════════════════════════════ */
+
+/**
+ * Groups FIFO matches by the financial year of the sell.
+ *
+ * @returns {object} 'FY 2025-26' → { rows, stcg, ltcg, total }
+ */
+function capitalGainsByYear(matches) {
+    const years = {};
+    matches.forEach(m => {
+        const fy = years[financialYear(m.sellDay)] ||= { rows: [], stcg: 0, ltcg: 0, total: 0 };
+        fy.rows.push(m);
+        fy[m.term === 'LTCG' ? 'ltcg' : 'stcg'] += m.gain;
+        fy.total += m.gain;
+    });
+    return years;
+}
+
+/**
+ * CSV of one financial year's statement (one row per matched lot).
+ */
+function capitalGainsCsv(fyLabel, fy) {
+    const header = ['Asset', 'Units', 'Buy date', 'Buy price (net)', 'Cost', 'Sell date', 'Sell price (net)', 'Proceeds', 'Holding days', 'Term', 'Rate', 'Gain', 'Rule'];
+    const rows = fy.rows.map(m => [
+        m.asset, m.units, m.buyDay, m.buyPrice.toFixed(2), m.cost.toFixed(2), m.sellDay, m.sellPrice.toFixed(2),
+        m.proceeds.toFixed(2), m.holdingDays, m.term, m.rate, m.gain.toFixed(2), m.note
+    ]);
+    rows.push([], ['Total STCG', '', '', '', '', '', '', '', '', '', '', fy.stcg.toFixed(2)]);
+    rows.push(['Total LTCG', '', '', '', '', '', '', '', '', '', '', fy.ltcg.toFixed(2)]);
+
+    const esc = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v;
+    return [`Capital gains statement — ${fyLabel}`, header.join(','), ...rows.map(r => r.map(esc).join(','))].join('\n');
+}
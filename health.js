@@ -0,0 +1,146 @@
+/**
+ * AurumTrack — Data Health
+ * Features:
+ *  - Per-symbol last-success timestamp (S[key].updatedAt) and last error
+ *  - Stale / error badges on every instrument card
+ *  - Connection-health indicator in the live bar with the provider retry log
+ *  - isFresh() guard used by the prediction and spread sections
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const HEALTH = {
+    STALE_AFTER: 60e3, // minimum age before a quote counts as stale…
+    STALE_POLLS: 3,    // …or this many missed polls at the group's current pace
+    LOG_ROWS: 20
+};
+
+const symbolErrors = {}; // sym → { ts, message } of the latest failed fetch (cleared on success)
+
+/**
+ * How old a quote from this group may get before it's stale. Closed markets and
+ * hidden tabs are polled slowly, so their quotes are allowed to age accordingly;
+ * backoff isn't — a group that can't refresh goes stale.
+ */
+function staleAfter(group) {
+    return Math.max(HEALTH.STALE_AFTER, HEALTH.STALE_POLLS * paceInterval(group));
+}
+
+/**
+ * True when a state entry ({ sym, cur, updatedAt }) was refreshed recently enough.
+ * Ages are wall-clock (Date.now), so a fast replay doesn't age its own quotes.
+ */
+function isFresh(st) {
+    return !!(st?.cur && st.updatedAt && Date.now() - st.updatedAt <= staleAfter(groupOfSymbol(st.sym)));
+}
+
+function fmtAge(ms) {
+    const s = Math.round(ms / 1000);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.round(s / 60)}m`;
+    if (s < 86400) return `${Math.round(s / 3600)}h`;
+    return `${Math.round(s / 86400)}d`;
+}
+
+/* ══════════════════════════════════════════════
+   TRACKING
+══════════════════════════════════════════════ */
+
+/**
+ * Records which requested symbols came back and which didn't.
+ *
+ * @param {string[]} requested - Symbols asked for
+ * @param {object} quotes      - sym → quote actually received
+ */
+function recordFetchHealth(requested, quotes) {
+    requested.forEach(sym => {
+        if (quotes[sym]) {
+            delete symbolErrors[sym];
+            return;
+        }
+        const group = groupOfSymbol(sym);
+        const attempt = providerLog.find(e => e.group === group && e.missing.includes(sym));
+        symbolErrors[sym] = { ts: Date.now(), message: attempt?.error || 'No quote returned' };
+    });
+}
+
+/**
+ * 'ok' | 'stale' | 'error' for one instrument.
+ */
+function instrumentHealth(inst) {
+    if (symbolErrors[inst.sym]) return 'error';
+    return isFresh(S[inst.key]) ? 'ok' : 'stale';
+}
+
+/* ══════════════════════════════════════════════
+   UI
+══════════════════════════════════════════════ */
+
+/**
+ * Updates the card badges and the live-bar indicator.
+ */
+function renderHealth() {
+    let stale = 0, errors = 0;
+    const instruments = getInstruments();
+
+    instruments.forEach(inst => {
+        const status = instrumentHealth(inst);
+        if (status === 'stale') stale++;
+        if (status === 'error') errors++;
+
+        const card = document.querySelector(`.card[data-sym="${inst.sym}"]`);
+        const badge = card?.querySelector('.health-badge');
+        if (!badge) return;
+
+        const st = S[inst.key];
+        const age = st.updatedAt ? fmtAge(Date.now() - st.updatedAt) : null;
+        card.classList.toggle('card-stale', status !== 'ok');
+        badge.hidden = status === 'ok';
+        badge.className = `health-badge ${status}`;
+        badge.textContent = status === 'error' ? 'ERROR' : `STALE${age ? ` · ${age}` : ''}`;
+        badge.title = [
+            st.updatedAt ? `Last update ${new Date(st.updatedAt).toLocaleString('en-IN')}` : 'Never updated',
+            symbolErrors[inst.sym]?.message
+        ].filter(Boolean).join(' — ');
+    });
+
+    const el = document.getElementById('conn-health');
+    if (!el) return;
+    const state = errors + stale === 0 ? 'ok' : errors + stale === instruments.length ? 'down' : 'degraded';
+    el.className = `conn-health ${state}`;
+    el.querySelector('.conn-health-text').textContent =
+        state === 'ok' ? 'Healthy' : state === 'down' ? 'Offline' : `Degraded (${errors + stale}/${instruments.length})`;
+
+    renderHealthLog();
+}
+
+function renderHealthLog() {
+    const logEl = document.getElementById('health-log-list');
+    if (!logEl) return;
+
+    logEl.innerHTML = providerLog.length ? providerLog.slice(0, HEALTH.LOG_ROWS).map(e => `
+        <li class="${e.error || e.missing.length ? 'fail' : 'ok'}">
+            <span class="health-log-time">${new Date(e.ts).toLocaleTimeString('en-IN', { hour12: false })}</span>
+            <span>${MARKET_GROUPS[e.group]?.label || e.group} · ${PROVIDERS[e.provider]?.name || e.provider}</span>
+            <span>${e.error || (e.missing.length ? `${e.ok} ok, missed ${e.missing.join(', ')}` : `${e.ok} ok`)}</span>
+        </li>
+    `).join('') : '<li>No requests yet.</li>';
+}
+
+function initHealth() {
+    const el = document.getElementById('conn-health');
+    if (!el) return;
+    const panel = document.getElementById('health-log');
+
+    el.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden) renderHealthLog();
+    });
+    document.getElementById('health-retry')?.addEventListener('click', requestMarketRefresh);
+
+    // Ages on the stale badges keep counting between fetches
+    setInterval(renderHealth, 15e3);
+}
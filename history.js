@@ -0,0 +1,213 @@
+/**
+ * AurumTrack — Intraday Price History
+ * Features:
+ *  - IndexedDB tick recorder fed from every processQuotes() update
+ *  - 1m / 5m / 1h OHLC bars built incrementally as ticks arrive
+ *  - Retention pruning so the local store doesn't grow without bound
+ *  - Per-card chart panel with 1D / 1W / 1M ranges
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const HIST = {
+    DB_NAME: 'aurumtrack',
+    DB_VERSION: 1,
+    TIMEFRAMES: { '1m': 60e3, '5m': 300e3, '1h': 3600e3 },
+    // How long each store keeps data (ms)
+    RETENTION: {
+        ticks: 2 * 864e5,
+        '1m': 7 * 864e5,
+        '5m': 40 * 864e5,
+        '1h': 400 * 864e5
+    },
+    // Chart range → span shown + bar timeframe used
+    RANGES: {
+        '1D': { span: 864e5, tf: '5m' },
+        '1W': { span: 7 * 864e5, tf: '1h' },
+        '1M': { span: 31 * 864e5, tf: '1h' }
+    }
+};
+
+let histDbPromise = null;
+const histLastPrice = {}; // sym → last recorded price (skip unchanged ticks)
+
+/* ══════════════════════════════════════════════
+   STORAGE
+══════════════════════════════════════════════ */
+function openHistoryDb() {
+    if (histDbPromise) return histDbPromise;
+    if (!window.indexedDB) return Promise.resolve(null);
+
+    histDbPromise = new Promise(resolve => {
+        const req = indexedDB.open(HIST.DB_NAME, HIST.DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains('ticks')) db.createObjectStore('ticks', { keyPath: ['sym', 'ts'] });
+            if (!db.objectStoreNames.contains('bars')) db.createObjectStore('bars', { keyPath: ['sym', 'tf', 't'] });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            console.error('[AurumTrack] History DB unavailable:', req.error);
+            resolve(null);
+        };
+    });
+    return histDbPromise;
+}
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/* ══════════════════════════════════════════════
+   RECORDER
+══════════════════════════════════════════════ */
+
+/**
+ * Stores ticks and folds each into its 1m / 5m / 1h bars.
+ * Ticks whose price hasn't changed since the last one for that symbol are skipped.
+ *
+ * @param {Array} ticks - [{ sym, price, ts }]
+ */
+async function recordTicks(ticks) {
+    if (isReplayActive()) return;
+    const fresh = ticks.filter(t => t.price && histLastPrice[t.sym] !== t.price);
+    if (!fresh.length) return;
+
+    const db = await openHistoryDb();
+    if (!db) return;
+
+    try {
+        const tx = db.transaction(['ticks', 'bars'], 'readwrite');
+        const tickStore = tx.objectStore('ticks');
+        const barStore = tx.objectStore('bars');
+
+        for (const tick of fresh) {
+            tickStore.put(tick);
+            for (const [tf, ms] of Object.entries(HIST.TIMEFRAMES)) {
+                const t = Math.floor(tick.ts / ms) * ms;
+                const bar = await idbRequest(barStore.get([tick.sym, tf, t]));
+                barStore.put(bar ? {
+                    ...bar,
+                    h: Math.max(bar.h, tick.price),
+                    l: Math.min(bar.l, tick.price),
+                    c: tick.price
+                } : { sym: tick.sym, tf, t, o: tick.price, h: tick.price, l: tick.price, c: tick.price });
+            }
+            histLastPrice[tick.sym] = tick.price;
+        }
+    } catch (e) {
+        console.error('[AurumTrack] Failed to record ticks:', e);
+    }
+}
+
+/**
+ * Returns bars for a symbol and timeframe with t >= from, oldest first.
+ */
+async function getBars(sym, tf, from) {
+    const db = await openHistoryDb();
+    if (!db) return [];
+    const range = IDBKeyRange.bound([sym, tf, from], [sym, tf, Infinity]);
+    return idbRequest(db.transaction('bars').objectStore('bars').getAll(range));
+}
+
+/**
+ * Returns raw ticks for a symbol with ts >= from, oldest first.
+ */
+async function getTicks(sym, from) {
+    const db = await openHistoryDb();
+    if (!db) return [];
+    const range = IDBKeyRange.bound([sym, from], [sym, Infinity]);
+    return idbRequest(db.transaction('ticks').objectStore('ticks').getAll(range));
+}
+
+/**
+ * Deletes ticks and bars older than their retention window.
+ */
+async function pruneHistory() {
+    const db = await openHistoryDb();
+    if (!db) return;
+    const now = Date.now();
+
+    const tx = db.transaction(['ticks', 'bars'], 'readwrite');
+    tx.objectStore('ticks').openCursor().onsuccess = e => {
+        const cur = e.target.result;
+        if (!cur) return;
+        if (cur.value.ts < now - HIST.RETENTION.ticks) cur.delete();
+        cur.continue();
+    };
+    tx.objectStore('bars').openCursor().onsuccess = e => {
+        const cur = e.target.result;
+        if (!cur) return;
+        if (cur.value.t < now - HIST.RETENTION[cur.value.tf]) cur.delete();
+        cur.continue();
+    };
+}
+
+/* ══════════════════════════════════════════════
+   CARD CHARTS
+══════════════════════════════════════════════ */
+
+/**
+ * Adds a collapsible chart panel to each card.
+ *
+ * @param {object} cardSymbols - price element id → TradingView symbol
+ */
+function initCardCharts(cardSymbols) {
+    Object.entries(cardSymbols).forEach(([priceId, sym]) => {
+        const card = document.getElementById(priceId)?.closest('.card');
+        if (!card || card.querySelector('.card-chart')) return;
+
+        const panel = document.createElement('div');
+        panel.className = 'card-chart';
+        panel.dataset.sym = sym;
+        panel.dataset.range = '1D';
+        panel.innerHTML = `
+            <button class="chart-toggle-btn" type="button">
+                <i class="fa-solid fa-chart-simple"></i> Chart
+            </button>
+            <div class="chart-body-wrap" hidden>
+                <div class="chart-ranges">
+                    ${Object.keys(HIST.RANGES).map(r =>
+                        `<button type="button" data-range="${r}" class="${r === '1D' ? 'active' : ''}">${r}</button>`
+                    ).join('')}
+                </div>
+                <div class="chart-canvas"></div>
+            </div>
+        `;
+        card.appendChild(panel);
+
+        const body = panel.querySelector('.chart-body-wrap');
+        panel.querySelector('.chart-toggle-btn').addEventListener('click', () => {
+            body.hidden = !body.hidden;
+            panel.classList.toggle('open', !body.hidden);
+            if (!body.hidden) renderCardChart(panel);
+        });
+        panel.querySelectorAll('.chart-ranges button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                panel.dataset.range = btn.dataset.range;
+                panel.querySelectorAll('.chart-ranges button').forEach(b => b.classList.toggle('active', b === btn));
+                renderCardChart(panel);
+            });
+        });
+    });
+}
+
+async function renderCardChart(panel) {
+    const { span, tf } = HIST.RANGES[panel.dataset.range];
+    const bars = await getBars(panel.dataset.sym, tf, Date.now() - span);
+    const last = bars.length ? bars[bars.length - 1].c : 0;
+    renderCandleChart(panel.querySelector('.chart-canvas'), bars, { dec: last >= 1000 ? 0 : 2 });
+}
+
+/**
+ * Re-renders every chart panel that is currently expanded.
+ */
+function refreshOpenCharts() {
+    document.querySelectorAll('.card-chart.open').forEach(renderCardChart);
+}
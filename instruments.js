@@ -0,0 +1,162 @@
+/**
+ * AurumTrack — Instrument Registry
+ * Features:
+ *  - Declarative list of every tracked instrument (symbol, market, name, decimals,
+ *    unit, section, badge) — dashboard cards, fetch batches, state and the
+ *    portfolio's price table are all generated from it
+ *  - User-defined instruments persisted in localStorage alongside the built-ins
+ *
+ * Shared by the dashboard (main.js) and the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const INSTRUMENTS_KEY = 'custom_instruments';
+
+/**
+ * Dashboard sections cards can be placed in (element id of each card container).
+ */
+const INSTRUMENT_SECTIONS = {
+    international: { label: 'International Markets', container: 'cards-international' },
+    mcx: { label: 'Indian Commodity Market', container: 'cards-mcx' },
+    'nse-gold': { label: 'NSE ETFs · Gold', container: 'cards-nse-gold' },
+    'nse-silver': { label: 'NSE ETFs · Silver', container: 'cards-nse-silver' }
+};
+
+/**
+ * Built-in instruments.
+ *   key       — property of the dashboard state object S (and lower-cased, the DOM id prefix)
+ *   sym       — canonical TradingView symbol
+ *   market    — key of MARKET_GROUPS (decides scanner endpoint + provider failover)
+ *   decimals  — price decimals; changeDecimals overrides them for the 1D change
+ *   unit      — currency prefix shown before the price
+ *   metal     — icon colour: gold | silver | fx | other
+ *   yahoo     — Yahoo Finance ticker (omit if not listed)
+ *   inrGram   — show the INR-per-gram row (USD per troy-ounce quotes)
+ *   spread    — show the MCX vs. parity spread row for that metal
+ *   holdable  — appears in the portfolio tracker
+ *   curve     — show the front contract month / days to expiry row (mcxcurve.js)
+ *   section   — null for instruments fetched without a card (the MCX term structure)
+ *   fairValue — ETF metal backing for the fair-value / premium tracker (fairvalue.js):
+ *               { grams: metal per unit on `asOf` (AMC factsheet), asOf, expenseRatio: TER % a year }.
+ *               Approximate — check the AMC's latest factsheet.
+ */
+const BUILTIN_INSTRUMENTS = [
+    { key: 'xau', sym: 'TVC:GOLD', market: 'intl', name: 'Gold', decimals: 2, unit: '$', section: 'international', badge: 'USD', icon: 'fa-coins', metal: 'gold', yahoo: 'GC=F', inrGram: true },
+    { key: 'xag', sym: 'TVC:SILVER', market: 'intl', name: 'Silver', decimals: 2, unit: '$', section: 'international', badge: 'USD', icon: 'fa-coins', metal: 'silver', yahoo: 'SI=F', inrGram: true },
+    { key: 'usdinr', sym: 'FX_IDC:USDINR', market: 'fx', name: 'USD / INR', decimals: 2, changeDecimals: 4, unit: '₹', section: 'international', badge: 'Forex', icon: 'fa-arrow-right-arrow-left', metal: 'fx', yahoo: 'USDINR=X' },
+    { key: 'xauM', sym: 'MCX:GOLDM1!', market: 'mcx', name: 'Gold Mini', decimals: 0, unit: '₹', section: 'mcx', badge: 'MCX', icon: 'fa-gauge-high', metal: 'gold', spread: 'gold', curve: true },
+    { key: 'xagM', sym: 'MCX:SILVERM1!', market: 'mcx', name: 'Silver Mini', decimals: 0, unit: '₹', section: 'mcx', badge: 'MCX', icon: 'fa-gauge-high', metal: 'silver', spread: 'silver', curve: true },
+    { key: 'xauM2', sym: 'MCX:GOLDM2!', market: 'mcx', name: 'Gold Mini (next)', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'gold' },
+    { key: 'xauM3', sym: 'MCX:GOLDM3!', market: 'mcx', name: 'Gold Mini (far)', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'gold' },
+    { key: 'xauB', sym: 'MCX:GOLD1!', market: 'mcx', name: 'Gold', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'gold' },
+    { key: 'xauB2', sym: 'MCX:GOLD2!', market: 'mcx', name: 'Gold (next)', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'gold' },
+    { key: 'xauB3', sym: 'MCX:GOLD3!', market: 'mcx', name: 'Gold (far)', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'gold' },
+    { key: 'xagM2', sym: 'MCX:SILVERM2!', market: 'mcx', name: 'Silver Mini (next)', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'silver' },
+    { key: 'xagM3', sym: 'MCX:SILVERM3!', market: 'mcx', name: 'Silver Mini (far)', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'silver' },
+    { key: 'xagB', sym: 'MCX:SILVER1!', market: 'mcx', name: 'Silver', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'silver' },
+    { key: 'xagB2', sym: 'MCX:SILVER2!', market: 'mcx', name: 'Silver (next)', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'silver' },
+    { key: 'xagB3', sym: 'MCX:SILVER3!', market: 'mcx', name: 'Silver (far)', decimals: 0, unit: '₹', section: null, badge: 'MCX', icon: 'fa-gauge-high', metal: 'silver' },
+    { key: 'goldBees', sym: 'NSE:GOLDBEES', market: 'nse', name: 'Gold BeES', decimals: 2, unit: '₹', section: 'nse-gold', badge: 'ETF', icon: 'fa-box-archive', metal: 'gold', yahoo: 'GOLDBEES.NS', holdable: true, fairValue: { grams: 0.0083, asOf: '2025-04-01', expenseRatio: 0.8 } },
+    { key: 'tataGold', sym: 'NSE:TATAGOLD', market: 'nse', name: 'Tata Gold', decimals: 2, unit: '₹', section: 'nse-gold', badge: 'ETF', icon: 'fa-box-archive', metal: 'gold', yahoo: 'TATAGOLD.NS', holdable: true, fairValue: { grams: 0.00093, asOf: '2025-04-01', expenseRatio: 0.38 } },
+    { key: 'silverBees', sym: 'NSE:SILVERBEES', market: 'nse', name: 'Silver BeES', decimals: 2, unit: '₹', section: 'nse-silver', badge: 'ETF', icon: 'fa-box-archive', metal: 'silver', yahoo: 'SILVERBEES.NS', holdable: true, fairValue: { grams: 0.98, asOf: '2025-04-01', expenseRatio: 0.56 } },
+    { key: 'tataSilver', sym: 'NSE:TATSILV', market: 'nse', name: 'Tata Silver', decimals: 2, unit: '₹', section: 'nse-silver', badge: 'ETF', icon: 'fa-box-archive', metal: 'silver', yahoo: 'TATSILV.NS', holdable: true, fairValue: { grams: 0.098, asOf: '2025-04-01', expenseRatio: 0.44 } }
+];
+
+let customInstruments = loadCustomInstruments();
+
+function loadCustomInstruments() {
+    try {
+        return JSON.parse(localStorage.getItem(INSTRUMENTS_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveCustomInstruments() {
+    try {
+        localStorage.setItem(INSTRUMENTS_KEY, JSON.stringify(customInstruments));
+    } catch (e) { }
+}
+
+/* ══════════════════════════════════════════════
+   LOOKUPS
+══════════════════════════════════════════════ */
+function getInstruments() {
+    return [...BUILTIN_INSTRUMENTS, ...customInstruments];
+}
+
+function instrumentBySym(sym) {
+    return getInstruments().find(i => i.sym === sym);
+}
+
+function instrumentByKey(key) {
+    return getInstruments().find(i => i.key === key);
+}
+
+/**
+ * DOM id prefix of an instrument's card (e.g. 'goldbees' → #goldbees-price).
+ */
+function instrumentDomId(inst) {
+    return inst.key.toLowerCase();
+}
+
+/**
+ * Instruments that can be held in the portfolio tracker.
+ */
+function holdableInstruments() {
+    return getInstruments().filter(i => i.holdable);
+}
+
+/* ══════════════════════════════════════════════
+   USER INSTRUMENTS
+══════════════════════════════════════════════ */
+
+/**
+ * Adds a user instrument. Throws an Error with a user-facing message if invalid.
+ *
+ * @param {object} def - { sym, name, market, section, decimals, unit, badge, grams?, expenseRatio? }
+ *                       grams — metal per unit today, for a gold / silver ETF's fair value
+ */
+function addCustomInstrument(def) {
+    const sym = (def.sym || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_]+:[A-Z0-9_.!&-]+$/.test(sym)) throw new Error('Symbol must look like EXCHANGE:TICKER (e.g. NSE:HDFCGOLD)');
+    if (instrumentBySym(sym)) throw new Error(`${sym} is already tracked`);
+    if (!MARKET_GROUPS[def.market]) throw new Error('Unknown market');
+    if (!INSTRUMENT_SECTIONS[def.section]) throw new Error('Unknown section');
+
+    // Every character outside A-Z0-9 is hex-escaped, so distinct symbols never share a key
+    // (NSE:A_B / NSE:AB, MCX:X / NSE:X)
+    const key = `usr${sym.replace(/[^A-Z0-9]/g, c => `_${c.charCodeAt(0).toString(16)}`)}`;
+    if (instrumentByKey(key)) throw new Error(`${sym} clashes with a tracked instrument`);
+
+    const ticker = sym.split(':')[1];
+    const name = (def.name || '').trim() || ticker;
+    const lower = name.toLowerCase();
+
+    customInstruments.push({
+        key,
+        sym,
+        market: def.market,
+        name,
+        decimals: Number.isInteger(def.decimals) ? def.decimals : 2,
+        unit: def.unit || '₹',
+        section: def.section,
+        badge: (def.badge || 'ETF').slice(0, 6),
+        icon: def.market === 'mcx' ? 'fa-gauge-high' : 'fa-box-archive',
+        metal: lower.includes('gold') ? 'gold' : lower.includes('silver') || lower.includes('silv') ? 'silver' : 'other',
+        yahoo: def.market === 'nse' ? `${ticker}.NS` : undefined,
+        holdable: def.market === 'nse',
+        ...(def.grams > 0 && { fairValue: { grams: def.grams, asOf: new Date().toISOString().slice(0, 10), expenseRatio: def.expenseRatio > 0 ? def.expenseRatio : 0 } }),
+        custom: true
+    });
+    saveCustomInstruments();
+}
+
+function removeCustomInstrument(sym) {
+    customInstruments = customInstruments.filter(i => i.sym !== sym);
+    saveCustomInstruments();
+}
@@ -0,0 +1,263 @@
+/**
+ * AurumTrack — Prediction Accuracy Journal
+ * Features:
+ *  - Saves each evening's expected open per ETF / MCX Mini, keyed by the target session date
+ *  - Captures the actual session open automatically (the open reported with the
+ *    polled quotes, falling back to the first recorded 1m bar when the day was missed)
+ *  - Target sessions follow each instrument's own exchange calendar (NSE / MCX)
+ *  - Accuracy panel: per-day error, mean absolute error, direction hit rate, history table
+ *  - Residual σ of realised errors, used for the expected-range bands
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const JOURNAL = {
+    KEY: 'prediction_journal',
+    MAX_DAYS: 365,
+    HISTORY_ROWS: 30,
+    MIN_SIGMA_SAMPLES: 3,
+    // Session open / close in IST minutes; exchange is the calendar (calendars.js) it trades on
+    INSTRUMENTS: {
+        'NSE:GOLDBEES': { name: 'Gold BeES', exchange: 'nse', open: 555, close: 930 },
+        'NSE:SILVERBEES': { name: 'Silver BeES', exchange: 'nse', open: 555, close: 930 },
+        'NSE:TATAGOLD': { name: 'Tata Gold', exchange: 'nse', open: 555, close: 930 },
+        'NSE:TATSILV': { name: 'Tata Silver', exchange: 'nse', open: 555, close: 930 },
+        'MCX:GOLDM1!': { name: 'Gold Mini', exchange: 'mcx', open: 540, close: 1410 },
+        'MCX:SILVERM1!': { name: 'Silver Mini', exchange: 'mcx', open: 540, close: 1410 }
+    }
+};
+
+let journal = loadJournal();
+
+function loadJournal() {
+    try {
+        return JSON.parse(localStorage.getItem(JOURNAL.KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveJournal() {
+    try {
+        localStorage.setItem(JOURNAL.KEY, JSON.stringify(journal));
+    } catch (e) { }
+}
+
+/**
+ * UTC epoch ms of a session open (IST minutes, default 09:15) on a YYYY-MM-DD date.
+ */
+function sessionOpenMs(dateStr, openMin = 555) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, 0, openMin - 330);
+}
+
+/**
+ * The session an overnight prediction made right now applies to, or null while
+ * the instrument is in session (its price is then intraday, not a close).
+ * Before the open on a trading day the upcoming open is today's.
+ */
+function predictionTargetDate(inst) {
+    const { day, min } = istTime();
+    const isTradingDay = isExchangeTradingDay(inst.exchange, day);
+
+    if (isTradingDay && min < inst.open) return day;
+    if (isTradingDay && min < inst.close) return null;
+    return nextExchangeTradingDay(inst.exchange, day);
+}
+
+/* ══════════════════════════════════════════════
+   RECORDING
+══════════════════════════════════════════════ */
+
+/**
+ * Stores (or refreshes) tonight's prediction for an instrument. The latest value
+ * before the open wins, so the journal reflects what the card showed at the bell.
+ *
+ * @param {string} sym          - TradingView symbol (key of JOURNAL.INSTRUMENTS)
+ * @param {number} expected     - Predicted open
+ * @param {number} prevClose    - Last close the prediction was built on
+ * @param {number} overnightPct - USD metal move used by the model (fraction)
+ * @param {number} beta         - Model β used (1 for the MCX parity forecast)
+ */
+function recordPrediction(sym, expected, prevClose, overnightPct, beta) {
+    if (isReplayActive()) return;
+    const inst = JOURNAL.INSTRUMENTS[sym];
+    const date = inst && predictionTargetDate(inst);
+    if (!date || !expected) return;
+
+    const key = `${date}|${sym}`;
+    const entry = journal[key];
+    if (entry?.actualOpen) return;
+
+    journal[key] = { ...entry, date, sym, expected, prevClose, overnightPct, beta, savedAt: Date.now() };
+    pruneJournal();
+    saveJournal();
+}
+
+function pruneJournal() {
+    const cutoff = Date.now() - JOURNAL.MAX_DAYS * 864e5;
+    Object.keys(journal).forEach(k => {
+        if (sessionOpenMs(journal[k].date) < cutoff) delete journal[k];
+    });
+}
+
+/**
+ * Whether a polled quote's open is the open of the entry's session. Providers that
+ * date it (openDay) say so; otherwise the session has traded once the price has
+ * moved off the close the prediction was built on — until then (or on a holiday
+ * missing from the calendar) the open is still the previous session's.
+ */
+function isSessionOpen(q, entry) {
+    if (!q?.open) return false;
+    return q.openDay ? q.openDay === entry.date : q.cur !== entry.prevClose;
+}
+
+/**
+ * Fills in the actual open for any entry whose session has started.
+ * Today's opens come from the quotes just polled (providers.js reports each
+ * session's open, with the usual failover and backoff); older sessions fall back
+ * to the first 1m bar recorded by the history module.
+ *
+ * @param {object} results - group → { sym → quote } for the groups just fetched
+ */
+async function captureActualOpens(results = {}) {
+    if (isReplayActive()) return;
+    const now = Date.now();
+    const today = istToday();
+    const pending = Object.values(journal).filter(e => JOURNAL.INSTRUMENTS[e.sym] &&
+        !e.actualOpen && now >= sessionOpenMs(e.date, JOURNAL.INSTRUMENTS[e.sym].open) + 60e3);
+    if (!pending.length) return;
+
+    const quotes = Object.assign({}, ...Object.values(results));
+    pending.filter(e => e.date === today).forEach(entry => {
+        if (isSessionOpen(quotes[entry.sym], entry)) entry.actualOpen = quotes[entry.sym].open;
+    });
+
+    for (const entry of pending.filter(e => !e.actualOpen && e.date < today)) {
+        const inst = JOURNAL.INSTRUMENTS[entry.sym];
+        const from = sessionOpenMs(entry.date, inst.open);
+        const bars = await getBars(entry.sym, '1m', from);
+        const first = bars.find(b => b.t < from + (inst.close - inst.open) * 60e3); // within that session
+        if (first) entry.actualOpen = first.o;
+    }
+
+    if (!pending.some(e => e.actualOpen)) return;
+    saveJournal();
+    renderJournal();
+    recalibrateModels();
+}
+
+/* ══════════════════════════════════════════════
+   STATS
+══════════════════════════════════════════════ */
+
+/**
+ * Returns settled entries (prediction + actual) newest first, optionally for one symbol.
+ */
+function settledEntries(sym) {
+    return Object.values(journal)
+        .filter(e => e.actualOpen && (!sym || e.sym === sym))
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Mean absolute error (₹ and %) and direction hit rate for a symbol.
+ */
+function journalStats(sym) {
+    const rows = settledEntries(sym);
+    if (!rows.length) return null;
+
+    let absErr = 0, absPct = 0, hits = 0;
+    rows.forEach(e => {
+        const err = e.expected - e.actualOpen;
+        absErr += Math.abs(err);
+        absPct += Math.abs(err / e.actualOpen) * 100;
+        if (Math.sign(e.expected - e.prevClose) === Math.sign(e.actualOpen - e.prevClose)) hits++;
+    });
+
+    return {
+        n: rows.length,
+        mae: absErr / rows.length,
+        maePct: absPct / rows.length,
+        hitRate: hits / rows.length * 100
+    };
+}
+
+/**
+ * Standard deviation of realised prediction errors, as a fraction of the prior close,
+ * over the last `windowDays`. Null until there are enough settled samples.
+ */
+function predictionSigma(sym, windowDays) {
+    const cutoff = Date.now() - windowDays * 864e5;
+    const errs = settledEntries(sym)
+        .filter(e => e.prevClose && sessionOpenMs(e.date) >= cutoff)
+        .map(e => (e.actualOpen - e.expected) / e.prevClose);
+    if (errs.length < JOURNAL.MIN_SIGMA_SAMPLES) return null;
+
+    const mean = errs.reduce((a, x) => a + x, 0) / errs.length;
+    return Math.sqrt(errs.reduce((a, x) => a + (x - mean) ** 2, 0) / (errs.length - 1));
+}
+
+/* ══════════════════════════════════════════════
+   RENDER
+══════════════════════════════════════════════ */
+function renderJournal() {
+    const summaryEl = document.getElementById('accuracy-summary');
+    const tableEl = document.getElementById('accuracy-history');
+    if (!summaryEl || !tableEl) return;
+
+    summaryEl.innerHTML = Object.entries(JOURNAL.INSTRUMENTS).map(([sym, inst]) => {
+        const st = journalStats(sym);
+        const dec = sym.startsWith('MCX:') ? 0 : 2;
+        return `
+            <div class="accuracy-card">
+                <div class="accuracy-name">${inst.name}</div>
+                ${st ? `
+                    <div class="accuracy-mae">₹${fmt(st.mae, dec)} <span>(${fmt(st.maePct)}%)</span></div>
+                    <div class="accuracy-meta">MAE · Hit rate ${fmt(st.hitRate, 0)}% · ${st.n} day${st.n === 1 ? '' : 's'}</div>
+                ` : '<div class="accuracy-meta">No settled predictions yet</div>'}
+            </div>
+        `;
+    }).join('');
+
+    const rows = Object.values(journal)
+        .sort((a, b) => b.date.localeCompare(a.date) || a.sym.localeCompare(b.sym))
+        .slice(0, JOURNAL.HISTORY_ROWS);
+
+    if (!rows.length) {
+        tableEl.innerHTML = '<div class="empty-analytics">Predictions are journaled after 15:30 IST.</div>';
+        return;
+    }
+
+    tableEl.innerHTML = `
+        <table class="accuracy-table">
+            <thead>
+                <tr><th>Session</th><th>Instrument</th><th>Prev close</th><th>Expected</th><th>Actual open</th><th>Error</th><th>Dir.</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(e => {
+                    const settled = !!e.actualOpen;
+                    const err = settled ? e.expected - e.actualOpen : 0;
+                    const errPct = settled ? err / e.actualOpen * 100 : 0;
+                    const hit = settled && Math.sign(e.expected - e.prevClose) === Math.sign(e.actualOpen - e.prevClose);
+                    return `
+                        <tr>
+                            <td>${e.date}</td>
+                            <td>${JOURNAL.INSTRUMENTS[e.sym]?.name || e.sym}</td>
+                            <td>₹${fmt(e.prevClose)}</td>
+                            <td>₹${fmt(e.expected)}</td>
+                            <td>${settled ? `₹${fmt(e.actualOpen)}` : '<span class="pending">Pending</span>'}</td>
+                            <td class="${settled ? (Math.abs(errPct) < 0.25 ? 'text-up' : 'text-down') : ''}">
+                                ${settled ? `${err >= 0 ? '+' : ''}${fmt(err)} (${err >= 0 ? '+' : ''}${fmt(errPct)}%)` : '——'}
+                            </td>
+                            <td>${settled ? (hit ? '<i class="fa-solid fa-check text-up"></i>' : '<i class="fa-solid fa-xmark text-down"></i>') : ''}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
@@ -0,0 +1,227 @@
+/**
+ * AurumTrack — Landed-Cost Parity & MCX Spread History
+ * Features:
+ *  - Configurable landed-cost model per metal: basic customs duty, AIDC, GST and a
+ *    bank premium / discount on the international price
+ *  - MCX Mini spread vs. landed parity alongside the raw-parity spread, so the
+ *    duty doesn't read as a permanent premium
+ *  - Spread history rebuilt from the recorded hourly bars (history.js) — changing
+ *    the model re-bases the whole history
+ *  - Spread chart with 1W / 1M / 3M ranges, mean, σ and the z-score of the live
+ *    spread: real arbitrage dislocations stand out from the usual basis
+ *
+ * Used by the dashboard (main.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const LANDED = {
+    KEY: 'landed_cost_model',
+    // Duty is levied on real troy ounces. CFG.GRAMS_PER_OZ (28.3) is the dashboard's
+    // display conversion and already inflates parity by about the duty.
+    GRAMS_PER_TROY_OZ: 31.1035,
+    /**
+     * Import levies in % of the assessable value (July 2024 rates). MCX quotes
+     * exclude GST, so it's 0 by default — set 3 to compare with retail prices.
+     */
+    DEFAULTS: {
+        gold: { bcdPct: 5, aidcPct: 1, gstPct: 0, premiumUsd: 0 },
+        silver: { bcdPct: 5, aidcPct: 1, gstPct: 0, premiumUsd: 0 }
+    },
+    FIELDS: [
+        ['bcdPct', 'Customs duty %'],
+        ['aidcPct', 'AIDC %'],
+        ['gstPct', 'GST %'],
+        ['premiumUsd', 'Bank premium $/oz']
+    ],
+    // State keys of the international and MCX Mini instruments; grams per MCX quote
+    METALS: {
+        gold: { name: 'Gold', spot: 'xau', mcx: 'xauM', grams: 10 },
+        silver: { name: 'Silver', spot: 'xag', mcx: 'xagM', grams: 1000 }
+    },
+    RANGES: { '1W': 7, '1M': 31, '3M': 92 },
+    TF: '1h',
+    MIN_SAMPLES: 24,  // hourly readings before a z-score is shown
+    UNUSUAL_Z: 2,
+    REFRESH_MS: 5 * 60e3
+};
+
+let landedModel = loadLandedModel();
+const spreadView = { metal: 'gold', range: '1M', stats: {}, renderedAt: 0 }; // stats: metal → latest spreadStats()
+
+function loadLandedModel() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LANDED.KEY)) || {};
+        return Object.fromEntries(Object.entries(LANDED.DEFAULTS).map(([m, d]) => [m, { ...d, ...saved[m] }]));
+    } catch (e) {
+        return structuredClone(LANDED.DEFAULTS);
+    }
+}
+
+function saveLandedModel() {
+    try {
+        localStorage.setItem(LANDED.KEY, JSON.stringify(landedModel));
+    } catch (e) { }
+}
+
+/* ══════════════════════════════════════════════
+   PARITY
+══════════════════════════════════════════════ */
+
+/**
+ * INR per gram of metal landed in India: (spot + bank premium) × USDINR per troy
+ * gram, plus customs duty and AIDC, plus GST on the duty-paid value.
+ */
+function landedParityG(metal, spotUsd, usdinr) {
+    const m = landedModel[metal];
+    const assessable = (spotUsd + (m.premiumUsd || 0)) * usdinr / LANDED.GRAMS_PER_TROY_OZ;
+    return assessable * (1 + ((m.bcdPct || 0) + (m.aidcPct || 0)) / 100) * (1 + (m.gstPct || 0) / 100);
+}
+
+/* ══════════════════════════════════════════════
+   HISTORY
+══════════════════════════════════════════════ */
+
+/**
+ * Hourly spreads (% of parity) of the MCX Mini vs. raw and landed parity, from
+ * recorded bars where all three inputs have a close in the same hour.
+ *
+ * @returns {Promise<Array<{ t, raw, landed }>>}
+ */
+async function spreadHistory(metal, days) {
+    const { spot, mcx, grams } = LANDED.METALS[metal];
+    const from = Date.now() - days * 864e5;
+    const [spotBars, fxBars, mcxBars] = await Promise.all(
+        [S[spot].sym, S.usdinr.sym, S[mcx].sym].map(sym => getBars(sym, LANDED.TF, from))
+    );
+    const close = bars => Object.fromEntries(bars.map(b => [b.t, b.c]));
+    const spotAt = close(spotBars), fxAt = close(fxBars);
+
+    return mcxBars.filter(b => spotAt[b.t] && fxAt[b.t]).map(b => {
+        const mcxG = b.c / grams;
+        const raw = spotAt[b.t] * fxAt[b.t] / CFG.GRAMS_PER_OZ;
+        const landed = landedParityG(metal, spotAt[b.t], fxAt[b.t]);
+        return { t: b.t, raw: (mcxG / raw - 1) * 100, landed: (mcxG / landed - 1) * 100 };
+    });
+}
+
+/**
+ * Mean and σ of the landed spread over the history, and the z-score of `current`.
+ *
+ * @returns {{ n, mean, sd, z }|null}
+ */
+function spreadStats(history, current) {
+    const n = history.length;
+    if (!n) return null;
+    const mean = history.reduce((a, h) => a + h.landed, 0) / n;
+    const sd = n > 1 ? Math.sqrt(history.reduce((a, h) => a + (h.landed - mean) ** 2, 0) / (n - 1)) : 0;
+    const z = n >= LANDED.MIN_SAMPLES && sd > 0 && current != null ? (current - mean) / sd : null;
+    return { n, mean, sd, z };
+}
+
+/* ══════════════════════════════════════════════
+   RENDER
+══════════════════════════════════════════════ */
+
+function initLandedCost() {
+    const el = document.getElementById('landed-panel');
+    if (!el) return;
+
+    el.innerHTML = `
+        <div class="calibration-controls">
+            <div class="chart-ranges" id="spread-metals">
+                ${Object.entries(LANDED.METALS).map(([m, { name }]) =>
+                    `<button type="button" data-metal="${m}" class="${m === spreadView.metal ? 'active' : ''}">${name}</button>`
+                ).join('')}
+            </div>
+            <div class="chart-ranges" id="spread-ranges">
+                ${Object.keys(LANDED.RANGES).map(r =>
+                    `<button type="button" data-range="${r}" class="${r === spreadView.range ? 'active' : ''}">${r}</button>`
+                ).join('')}
+            </div>
+            <span class="equity-legend">
+                <span class="equity-key value"></span> vs landed
+                <span class="equity-key invested"></span> vs raw parity
+            </span>
+        </div>
+        <div id="spread-chart" class="accuracy-history equity-chart"></div>
+        <div id="spread-stats" class="accuracy-grid"></div>
+        <div class="charges-grid" id="landed-fields"></div>
+    `;
+
+    el.querySelectorAll('#spread-metals button').forEach(btn => btn.addEventListener('click', () => {
+        spreadView.metal = btn.dataset.metal;
+        el.querySelectorAll('#spread-metals button').forEach(b => b.classList.toggle('active', b === btn));
+        renderLandedFields();
+        renderSpreadHistory(true);
+    }));
+    el.querySelectorAll('#spread-ranges button').forEach(btn => btn.addEventListener('click', () => {
+        spreadView.range = btn.dataset.range;
+        el.querySelectorAll('#spread-ranges button').forEach(b => b.classList.toggle('active', b === btn));
+        renderSpreadHistory(true);
+    }));
+
+    renderLandedFields();
+    renderSpreadHistory(true);
+}
+
+function renderLandedFields() {
+    const el = document.getElementById('landed-fields');
+    const metal = spreadView.metal;
+    el.innerHTML = LANDED.FIELDS.map(([key, label]) => `
+        <label class="charges-field">
+            <span>${LANDED.METALS[metal].name} · ${label}</span>
+            <input type="number" class="input-inline" data-landed="${key}" value="${landedModel[metal][key] ?? 0}" step="any">
+        </label>
+    `).join('');
+
+    el.querySelectorAll('[data-landed]').forEach(input => input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value)) return renderLandedFields();
+        landedModel[metal][input.dataset.landed] = value;
+        saveLandedModel();
+        renderUI();
+        renderSpreadHistory(true);
+    }));
+}
+
+/**
+ * Chart and stats of the selected metal's spread. Reads IndexedDB, so live
+ * updates redraw at most every REFRESH_MS unless `force` is set.
+ */
+async function renderSpreadHistory(force = false) {
+    const chartEl = document.getElementById('spread-chart');
+    const statsEl = document.getElementById('spread-stats');
+    if (!chartEl || (!force && Date.now() - spreadView.renderedAt < LANDED.REFRESH_MS)) return;
+    spreadView.renderedAt = Date.now();
+
+    const metal = spreadView.metal;
+    const history = await spreadHistory(metal, LANDED.RANGES[spreadView.range]);
+    const live = calcSpreads()[metal];
+    const st = spreadStats(history, live?.landed.pct);
+    spreadView.stats[metal] = st;
+
+    renderLineChart(chartEl, [
+        { points: history.map(h => ({ t: h.t, v: h.landed })), cls: 'value' },
+        { points: history.map(h => ({ t: h.t, v: h.raw })), cls: 'invested' }
+    ], { height: 200, dec: 2, empty: 'The spread history fills in as MCX and international prices are recorded.' });
+
+    const signed = v => `${v >= 0 ? '+' : ''}${fmt(v)}%`;
+    const unusual = st?.z != null && Math.abs(st.z) >= LANDED.UNUSUAL_Z;
+    statsEl.innerHTML = [
+        ['vs Landed now', live ? signed(live.landed.pct) : '——', live ? `₹${fmt(live.landed.diff, 0)} / g vs ₹${fmt(live.landed.parityG)} landed` : 'Waiting for fresh prices', live?.landed.pct],
+        ['vs Raw now', live ? signed(live.pct) : '——', live ? `₹${fmt(live.parityG)} / g raw parity` : '', live?.pct],
+        [`${spreadView.range} average`, st ? signed(st.mean) : '——', st ? `σ ${fmt(st.sd)}% · ${st.n} hourly readings` : 'No recorded history yet', null],
+        ['z-score', st?.z != null ? `${st.z >= 0 ? '+' : ''}${st.z.toFixed(1)}` : '——',
+            st?.z == null ? `Needs ${LANDED.MIN_SAMPLES} readings` : unusual ? (st.z > 0 ? 'MCX unusually rich vs landed' : 'MCX unusually cheap vs landed') : 'Within the usual range', unusual ? -Math.abs(st.z) : null]
+    ].map(([name, main, meta, sign]) => `
+        <div class="accuracy-card">
+            <div class="accuracy-name">${name}</div>
+            <div class="accuracy-mae ${sign == null ? '' : sign >= 0 ? 'text-up' : 'text-down'}">${main}</div>
+            <div class="accuracy-meta">${meta}</div>
+        </div>
+    `).join('');
+}
@@ -6,10 +6,34 @@
  *    NOTE: Conversion factor is set to 28.3g per ounce as requested by user.
  *  - 1D percentage = (current − chartPreviousClose) / chartPreviousClose × 100
  *  - MCX Gold/Silver Mini derived = same as INR/gram formula
- *  - 5s auto-refresh + live IST clock + countdown
+ *  - Market-aware auto-refresh (scheduler.js) + live IST / New York / London clock,
+ *    next session change per exchange (clock.js) + countdown to the next fetch
  *  - 15:30 IST anchor for gap prediction (section locked before 15:30 IST)
- *  - NSE holiday calendar — skips weekends + known holidays for "tomorrow" check
+ *  - Exchange calendars (calendars.js, calendars/*.json) — NSE / MCX / COMEX holidays,
+ *    half days, evening-only and Muhurat sessions drive the status, live dots and
+ *    "tomorrow" check, with a warning before a calendar runs out
  *  - Regression model: Gold BeES β=0.88, Silver BeES β=0.82
+ *  - Tick history recorded to IndexedDB (history.js) with per-card OHLC charts
+ *  - Prediction accuracy journal (journal.js) — expected vs actual ETF opens
+ *  - Per-ETF β / R² refit from the journal (calibration.js); constants below are defaults
+ *  - ±1σ expected-open ranges + MCX Gold/Silver Mini open forecast from overnight parity
+ *  - ETF fair value (estimated iNAV) and live premium / discount per card, with a
+ *    daily premium history and z-score (fairvalue.js)
+ *  - MCX spread vs. raw and landed-cost parity (duty, AIDC, GST, bank premium) with
+ *    an hourly spread history, chart and z-score (landedcost.js)
+ *  - MCX term structure: front / next / far months of the Mini and big contracts,
+ *    days to expiry, calendar spreads, carry and a rollover banner (mcxcurve.js)
+ *  - Rule-based price / spread / gap alerts (alerts.js) via Notification API + webhook
+ *  - Quotes via providers.js (TradingView → Yahoo failover per symbol group)
+ *  - Offline replay of tick files on a virtual clock (replay.js, ?replay=<file>)
+ *  - Cards, state and fetch batches generated from the instrument registry
+ *    (instruments.js); users can add / remove their own symbols
+ *  - Stale / error badges per symbol, connection-health indicator (health.js);
+ *    predictions and spreads refuse stale inputs
+ *  - Per-group polling paced by market session, throttled in hidden tabs, with
+ *    429 / 5xx backoff (scheduler.js); session helpers live in sessions.js
+ *  - Quotes arrive through the shared market-data service (marketdata.js): one
+ *    tab polls, every open page renders the same prices; fmt / clock / theme in common.js
  */
 
 'use strict';
@@ -18,103 +42,9 @@
    CONFIG
 ══════════════════════════════════════════════ */
 const CFG = {
-    TV_API: 'https://scanner.tradingview.com/',
-    INTERVAL: 5000,    // 5 seconds — more aggressive for live feel
     GRAMS_PER_OZ: 28.3 // oz → grams (User requested 28.3)
 };
 
-/* ══════════════════════════════════════════════
-   NSE HOLIDAY CALENDAR (2025 + 2026)
-   Source: NSE India official holiday list
-══════════════════════════════════════════════ */
-const NSE_HOLIDAYS = new Set([
-    // 2025
-    '2025-02-26', // Mahashivratri
-    '2025-03-14', // Holi
-    '2025-03-31', // Id-Ul-Fitr
-    '2025-04-10', // Mahavir Jayanti
-    '2025-04-14', // Ambedkar Jayanti
-    '2025-04-18', // Good Friday
-    '2025-05-01', // Maharashtra Day
-    '2025-08-15', // Independence Day
-    '2025-08-27', // Ganesh Chaturthi
-    '2025-10-02', // Gandhi Jayanti / Dussehra
-    '2025-10-21', // Diwali - Laxmi Pujan
-    '2025-10-22', // Diwali - Balipratipada
-    '2025-11-05', // Guru Nanak Jayanti
-    '2025-12-25', // Christmas
-    // 2026
-    '2026-01-26', // Republic Day
-    '2026-03-03', // Holi
-    '2026-03-26', // Ram Navami
-    '2026-03-31', // Mahavir Jayanti
-    '2026-04-03', // Good Friday
-    '2026-04-14', // Ambedkar Jayanti
-    '2026-05-01', // Maharashtra Day
-    '2026-05-28', // Bakri Id / Eid-ul-Adha
-    '2026-06-26', // Muharram
-    '2026-09-14', // Ganesh Chaturthi
-    '2026-10-02', // Gandhi Jayanti
-    '2026-10-20', // Dussehra
-    '2026-11-09', // Diwali - Balipratipada
-    '2026-11-24', // Guru Nanak Jayanti
-    '2026-12-25', // Christmas
-]);
-
-/**
- * Format a Date as YYYY-MM-DD in IST.
- */
-function toISTDateString(d) {
-    // d is already an IST Date object
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${y}-${m}-${day}`;
-}
-
-/**
- * Returns true if the given IST date is an NSE holiday (weekday-holiday).
- */
-function isNseHoliday(istDate) {
-    return NSE_HOLIDAYS.has(toISTDateString(istDate));
-}
-
-/**
- * Returns the next NSE trading day as an IST Date (skips weekends + holidays).
- */
-function getNextNseDay() {
-    const now = istNow();
-    // Start from tomorrow
-    const candidate = new Date(now);
-    candidate.setDate(candidate.getDate() + 1);
-    candidate.setHours(0, 0, 0, 0);
-
-    // Walk forward until we find a valid NSE trading day
-    for (let i = 0; i < 14; i++) { // max 2 weeks ahead
-        const dow = candidate.getDay();
-        if (dow >= 1 && dow <= 5 && !isNseHoliday(candidate)) {
-            return candidate;
-        }
-        candidate.setDate(candidate.getDate() + 1);
-    }
-    return candidate; // fallback
-}
-
-/**
- * Returns true if tomorrow is an NSE trading day.
- */
-function isTomorrowNseOpen() {
-    const now = istNow();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-
-    const nextNse = getNextNseDay();
-    return (nextNse.getDate() === tomorrow.getDate() &&
-        nextNse.getMonth() === tomorrow.getMonth() &&
-        nextNse.getFullYear() === tomorrow.getFullYear());
-}
-
 /* ══════════════════════════════════════════════
    PREDICTION MODEL COEFFICIENTS
     // Regression-trained β values per asset based on TV prev close (5:00 PM EST instead of 15:30 IST):
@@ -123,6 +53,8 @@ function isTomorrowNseOpen() {
     // Gold BeES  → β = 0.75
     // Silver BeES → β = 0.70
     // Formula: expected_open = last_close × (1 + overnight_pct × β)
+    // These are the defaults — once calibration.js has enough journaled
+    // samples for an ETF, its fitted β / R² take over (see resolveModel()).
 ══════════════════════════════════════════════ */
 const GOLD_MODEL = { beta: 0.75, r2: 0.91 };
 const SILVER_MODEL = { beta: 0.70, r2: 0.87 };
@@ -132,74 +64,27 @@ const SILVER_MODEL = { beta: 0.70, r2: 0.87 };
 ══════════════════════════════════════════════ */
 const S = {
     firstLoad: true, // Track if it's the first render for instant load
-    source: 'tradingview',
-    xau: { cur: 0, prev: 0 },
-    xag: { cur: 0, prev: 0 },
-    usdinr: { cur: 0, prev: 0 },
-    goldBees: { cur: 0, prev: 0 },
-    silverBees: { cur: 0, prev: 0 },
-    tataGold: { cur: 0, prev: 0 },
-    tataSilver: { cur: 0, prev: 0 },
-    xauM: { cur: 0, prev: 0 },
-    xagM: { cur: 0, prev: 0 }
+    predicted: {} // sym → { expected, gapPct } from the latest renderGap()/renderMcxGap()
 };
 
+/**
+ * Gives every registered instrument a { cur, prev } slot in S under its key.
+ */
+function syncInstrumentState() {
+    getInstruments().forEach(inst => {
+        if (!S[inst.key]) S[inst.key] = { cur: 0, prev: 0, sym: inst.sym };
+    });
+}
+syncInstrumentState();
+
 /* ══════════════════════════════════════════════
    DOM CACHE
 ══════════════════════════════════════════════ */
 const EL = {
-    // Live bar
-    clock: document.getElementById('live-clock'),
-    countdown: document.getElementById('countdown'),
+    // Live bar (clock + countdown are driven by common.js)
     lastUpdated: document.getElementById('last-updated-time'),
     nseStatus: document.getElementById('nse-status'),
 
-    // Gold USD
-    xauPrice: document.getElementById('xau-price'),
-    xauChangeRow: document.getElementById('xau-change-row'),
-    xauChange: document.getElementById('xau-change'),
-    xauPct: document.getElementById('xau-pct'),
-    xauInrGram: document.getElementById('xau-inr-gram'),
-
-    // Silver USD
-    xagPrice: document.getElementById('xag-price'),
-    xagChangeRow: document.getElementById('xag-change-row'),
-    xagChange: document.getElementById('xag-change'),
-    xagPct: document.getElementById('xag-pct'),
-    xagInrGram: document.getElementById('xag-inr-gram'),
-
-    // USD/INR
-    usdinrPrice: document.getElementById('usdinr-price'),
-    usdinrChangeRow: document.getElementById('usdinr-change-row'),
-    usdinrChange: document.getElementById('usdinr-change'),
-    usdinrPct: document.getElementById('usdinr-pct'),
-
-    // Gold BeES
-    gbPrice: document.getElementById('goldbees-price'),
-    gbChangeRow: document.getElementById('goldbees-change-row'),
-    gbChange: document.getElementById('goldbees-change'),
-    gbPct: document.getElementById('goldbees-pct'),
-
-    // Silver BeES
-    sbPrice: document.getElementById('silverbees-price'),
-    sbChangeRow: document.getElementById('silverbees-change-row'),
-    sbChange: document.getElementById('silverbees-change'),
-    sbPct: document.getElementById('silverbees-pct'),
-
-    // Tata Gold
-    tgPrice: document.getElementById('tatagold-price'),
-    tgChangeRow: document.getElementById('tatagold-change-row'),
-    tgChange: document.getElementById('tatagold-change'),
-    tgPct: document.getElementById('tatagold-pct'),
-
-    // Tata Silver
-    tsPrice: document.getElementById('tatasilver-price'),
-    tsChangeRow: document.getElementById('tatasilver-change-row'),
-    tsChange: document.getElementById('tatasilver-change'),
-    tsPct: document.getElementById('tatasilver-pct'),
-
-    silverBeesPct: document.getElementById('silverbees-pct'),
-
     // Gap prediction - Gold
     expGold: document.getElementById('expected-goldbees'),
     goldAnchor: document.getElementById('gold-anchor'),
@@ -224,6 +109,18 @@ const EL = {
     tataSilverNow: document.getElementById('tatasilver-now'),
     tataSilverGapPct: document.getElementById('tatasilver-gap-pct'),
 
+    // Gap prediction - MCX Mini
+    expXauM: document.getElementById('expected-xaum'),
+    xaumClose: document.getElementById('xaum-close'),
+    xaumUsdPct: document.getElementById('xaum-usd-pct'),
+    xaumFxPct: document.getElementById('xaum-fx-pct'),
+    xaumGapPct: document.getElementById('xaum-gap-pct'),
+    expXagM: document.getElementById('expected-xagm'),
+    xagmClose: document.getElementById('xagm-close'),
+    xagmUsdPct: document.getElementById('xagm-usd-pct'),
+    xagmFxPct: document.getElementById('xagm-fx-pct'),
+    xagmGapPct: document.getElementById('xagm-gap-pct'),
+
     goldGapCard: document.getElementById('gold-gap-card'),
     silverGapCard: document.getElementById('silver-gap-card'),
     tatagoldGapCard: document.getElementById('tatagold-gap-card'),
@@ -232,41 +129,12 @@ const EL = {
     // Prediction section UI
     predictionSection: document.getElementById('prediction-section'),
     predictionBanner: document.getElementById('prediction-banner'),
-    predictionCards: document.getElementById('prediction-cards'),
-
-    // Theme
-    html: document.documentElement,
-    themeIcon: document.getElementById('theme-icon'),
-    themeBtn: document.getElementById('theme-toggle'),
-
-    // MCX
-    xaumPrice: document.getElementById('xaum-price'),
-    xaumChangeRow: document.getElementById('xaum-change-row'),
-    xaumChange: document.getElementById('xaum-change'),
-    xaumPct: document.getElementById('xaum-pct'),
-    xagmPrice: document.getElementById('xagm-price'),
-    xagmChangeRow: document.getElementById('xagm-change-row'),
-    xagmChange: document.getElementById('xagm-change'),
-    xagmPct: document.getElementById('xagm-pct'),
-
-    // Spreads
-    goldSpreadPct: document.getElementById('gold-spread-pct'),
-    goldSpreadAbs: document.getElementById('gold-spread-abs'),
-    silverSpreadPct: document.getElementById('silver-spread-pct'),
-    silverSpreadAbs: document.getElementById('silver-spread-abs')
+    predictionCards: document.getElementById('prediction-cards')
 };
 
 /* ══════════════════════════════════════════════
    HELPERS
 ══════════════════════════════════════════════ */
-function fmt(n, dec = 2) {
-    if (!n && n !== 0) return '——';
-    return new Intl.NumberFormat('en-IN', {
-        minimumFractionDigits: dec,
-        maximumFractionDigits: dec
-    }).format(n);
-}
-
 function fmtInrGram(n) {
     if (!n && n !== 0) return '——';
     return new Intl.NumberFormat('en-IN', {
@@ -275,89 +143,33 @@ function fmtInrGram(n) {
     }).format(n);
 }
 
-function istNow() {
-    const now = new Date();
-    const utcMs = now.getTime() + now.getTimezoneOffset() * 60000;
-    return new Date(utcMs + 5.5 * 3600 * 1000);
-}
-
-function istString(d) {
-    const hh = String(d.getHours()).padStart(2, '0');
-    const mm = String(d.getMinutes()).padStart(2, '0');
-    const ss = String(d.getSeconds()).padStart(2, '0');
-    return `${hh}:${mm}:${ss}`;
-}
-
-/**
- * Format a Date as a nice readable string: "Mon, 2 Mar"
- */
-function fmtDateShort(d) {
-    return d.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
-}
-
 /**
- * Returns true if NSE market is currently in session (09:15 - 15:30 IST, Mon-Fri, non-holiday).
+ * Format a 'YYYY-MM-DD' date as a nice readable string: "Mon, 2 Mar"
  */
-function isNseOpen() {
-    const ist = istNow();
-    const d = ist.getDay();
-    const min = ist.getHours() * 60 + ist.getMinutes();
-    if (d === 0 || d === 6) return false;
-    if (isNseHoliday(ist)) return false;
-    return min >= 555 && min < 930; // 555m = 09:15, 930m = 15:30
+function fmtDateShort(day) {
+    return new Date(day).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
 }
 
 /* ══════════════════════════════════════════════
-   THEME
+   MARKET STATUS
 ══════════════════════════════════════════════ */
-function initTheme() {
-    const saved = localStorage.getItem('theme') || 'dark';
-    applyTheme(saved);
-
-    EL.themeBtn.addEventListener('click', () => {
-        const next = EL.html.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
-        applyTheme(next);
-        localStorage.setItem('theme', next);
-    });
-}
-
-function applyTheme(theme) {
-    EL.html.setAttribute('data-theme', theme);
-    EL.themeIcon.className = theme === 'dark' ? 'fa-solid fa-moon' : 'fa-solid fa-sun';
-}
-
-/* ══════════════════════════════════════════════
-   LIVE CLOCK
-══════════════════════════════════════════════ */
-function startLiveClock() {
-    function tick() {
-        const ist = istNow();
-        EL.clock.textContent = istString(ist) + ' IST';
-        updateNseStatus(ist);
-        updatePredictionSection(ist);
-    }
-    tick();
-    setInterval(tick, 1000);
-}
-
-function updateNseStatus(ist) {
-    const d = ist.getDay();
-    const min = ist.getHours() * 60 + ist.getMinutes();
+function updateNseStatus() {
+    const nse = exchangeNow('nse');
+    const { kind, name } = nse.schedule;
     let txt, cls;
 
-    const isHoliday = isNseHoliday(ist);
-    if (d === 0 || d === 6) { txt = 'NSE: Weekend'; cls = 'closed'; }
-    else if (isHoliday) { txt = 'NSE: Holiday 🗓️'; cls = 'closed'; }
-    else if (min < 540) { txt = 'NSE: Closed'; cls = 'closed'; }
-    else if (min < 555) { txt = 'NSE: Pre-open ⏰'; cls = 'pre'; }
-    else if (min < 930) { txt = 'NSE: Open 🟢'; cls = 'open'; }
+    if (kind === 'weekend') { txt = 'NSE: Weekend'; cls = 'closed'; }
+    else if (kind === 'holiday') { txt = 'NSE: Holiday 🗓️'; cls = 'closed'; }
+    else if (nse.open) { txt = kind === 'special' ? `NSE: ${name} 🟢` : 'NSE: Open 🟢'; cls = 'open'; }
+    else if (nse.preOpen) { txt = 'NSE: Pre-open ⏰'; cls = 'pre'; }
     else { txt = 'NSE: Closed'; cls = 'closed'; }
 
     EL.nseStatus.textContent = txt;
     EL.nseStatus.className = cls;
+    EL.nseStatus.title = name || ''; // holiday / special session name
 
     // Update live dots based on market status
-    updateLiveDots(min, d, isHoliday);
+    updateLiveDots(nse);
 }
 
 /**
@@ -369,14 +181,9 @@ function updateNseStatus(ist) {
  *       - If tomorrow IS an NSE trading day → show prediction cards normally.
  *   - On weekends / holidays (predActive = false from updateLiveDots): keep locked.
  */
-function updatePredictionSection(ist) {
+function updatePredictionSection() {
     if (!EL.predictionBanner || !EL.predictionCards) return;
 
-    const min = ist.getHours() * 60 + ist.getMinutes();
-    const dow = ist.getDay(); // 0=Sun, 6=Sat
-    const isWeekday = dow >= 1 && dow <= 5;
-    const isHoliday = isNseHoliday(ist);
-
     // Section label: show what day prediction is for
     const nextNseDay = getNextNseDay();
     const sectionLabelEl = document.getElementById('prediction-section-label');
@@ -397,14 +204,14 @@ function hideExpectedPrices(hide) {
 }
 
 /**
- * Sets pulsing green/red dots on each section label.
- * - International (TVC:GOLD/SILVER): 24/5 — Mon-Fri roughly 00:00-23:00 UTC
- * - MCX: Mon-Fri 09:00-23:30 IST (210-1410 min IST)
- * - NSE BeES + Prediction: Mon-Fri 09:15-15:30 IST (555-930 min)
+ * Sets pulsing green/red dots on each section label, from the exchange calendars (calendars.js).
+ * - International (TVC:GOLD/SILVER): COMEX Globex — Sun 18:00 to Fri 17:00 ET, US holidays
+ * - MCX: 09:00-23:30 IST, evening session only on most Indian holidays
+ * - NSE BeES + Prediction: 09:15-15:30 IST, plus Muhurat / special sessions
+ *
+ * @param {object} nse - exchangeNow('nse')
  */
-function updateLiveDots(minIST, dayOfWeek, isHoliday) {
-    const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5 && !isHoliday;
-
+function updateLiveDots(nse) {
     function setDot(id, isActive) {
         const el = document.getElementById(id);
         if (!el) return;
@@ -412,108 +219,93 @@ function updateLiveDots(minIST, dayOfWeek, isHoliday) {
         el.classList.toggle('inactive', !isActive);
     }
 
-    // International gold/silver (COMEX/TVC) — continuous Mon-Fri
-    setDot('dot-international', isWeekday);
-
-    // MCX: Mon–Fri 09:00–23:30 IST
-    const mcxOpen = isWeekday && minIST >= 540 && minIST < 1410;
-    setDot('dot-mcx', mcxOpen);
+    setDot('dot-international', exchangeNow('comex').open);
+    setDot('dot-mcx', exchangeNow('mcx').open);
+    setDot('dot-bees', nse.open);
 
-    // NSE BeES: Mon–Fri 09:15–15:30 IST
-    const nseOpen = isWeekday && minIST >= 555 && minIST < 930;
-    setDot('dot-bees', nseOpen);
-
-    // Prediction: active after market close (data meaningful after 15:30)
-    const predActive = isWeekday && minIST >= 930;
-    setDot('dot-prediction', predActive);
-}
-
-/* ══════════════════════════════════════════════
-   COUNTDOWN
-══════════════════════════════════════════════ */
-let cd = CFG.INTERVAL / 1000;
-function startCountdown() {
-    cd = CFG.INTERVAL / 1000;
-    setInterval(() => {
-        cd = Math.max(0, cd - 1);
-        EL.countdown.textContent = cd;
-    }, 1000);
-}
-function resetCountdown() {
-    cd = CFG.INTERVAL / 1000;
-    EL.countdown.textContent = cd;
+    // Prediction: active after the day's last NSE session (data meaningful after the close)
+    const sessions = nse.schedule.sessions;
+    setDot('dot-prediction', sessions.length > 0 && nse.min >= sessions[sessions.length - 1][1]);
 }
 
 /* ══════════════════════════════════════════════
    DATA PROCESSING
 ══════════════════════════════════════════════ */
 
-// TradingView API fetcher
-async function fetchTradingView(market, symbols) {
-    const url = `${CFG.TV_API}${market}/scan`;
-    const headers = { 'Content-Type': 'text/plain' };
-    const body = JSON.stringify({
-        symbols: { tickers: symbols, query: { types: [] } },
-        columns: ["close", "change", "change_abs"]
+/**
+ * Applies normalized quotes (sym → { cur, prev, ts, provider }) to state
+ * and records them as ticks.
+ */
+function processQuotes(quotes, record = true) {
+    const syms = Object.keys(quotes);
+    if (!syms.length) return;
+
+    const ticks = [];
+    syms.forEach(sym => {
+        const inst = instrumentBySym(sym);
+        if (!inst || !S[inst.key]) return;
+        const { cur, prev, ts, provider, receivedAt } = quotes[sym];
+        Object.assign(S[inst.key], { cur, prev, provider, updatedAt: receivedAt ?? Date.now() });
+        ticks.push({ sym, price: cur, ts });
     });
 
-    try {
-        const r = await fetch(url, { method: 'POST', headers, body, cache: 'no-store' });
-        if (!r.ok) {
-            console.error(`TradingView API error for market ${market}: ${r.status} ${r.statusText}`);
-            return null;
-        }
-        return await r.json();
-    } catch (e) {
-        console.error(`TradingView API fetch failed for market ${market}:`, e);
-        return null;
-    }
+    if (record) recordTicks(ticks);
 }
 
-function processTVData(res) {
-    if (!res?.data) return;
-
-    // DEBUG Logging
-    console.log("[AurumTrack] TV response contains symbols:", res.data.map(i => i.s));
-
-    res.data.forEach(item => {
-        // Columns: [close, change_pct, change_abs]
-        const [cur, changePct, changeAbs] = item.d;
-        // Derive previous close from current price and absolute change
-        const prev = cur - changeAbs;
-
-        if (item.s === 'TVC:GOLD') { S.xau.cur = cur; S.xau.prev = prev; }
-        else if (item.s === 'TVC:SILVER') { S.xag.cur = cur; S.xag.prev = prev; }
-        else if (item.s === 'FX_IDC:USDINR') { S.usdinr.cur = cur; S.usdinr.prev = prev; }
-        else if (item.s === 'NSE:GOLDBEES') { S.goldBees.cur = cur; S.goldBees.prev = prev; }
-        else if (item.s === 'NSE:SILVERBEES') { S.silverBees.cur = cur; S.silverBees.prev = prev; }
-        else if (item.s === 'NSE:TATAGOLD') { S.tataGold.cur = cur; S.tataGold.prev = prev; }
-        else if (item.s === 'NSE:TATSILV') { S.tataSilver.cur = cur; S.tataSilver.prev = prev; }
-        else if (item.s === 'MCX:GOLDM1!') { S.xauM.cur = cur; S.xauM.prev = prev; }
-        else if (item.s === 'MCX:SILVERM1!') { S.xagM.cur = cur; S.xagM.prev = prev; }
+/**
+ * MCX Mini per-gram price vs. international INR parity.
+ * Returns { gold, silver }, each { mcxG, parityG, diff, pct, landed } or null when
+ * inputs are missing; landed is the same comparison against landed-cost parity (landedcost.js).
+ */
+function calcSpreads() {
+    const out = { gold: null, silver: null };
+    if (!isFresh(S.usdinr)) return out;
+
+    const spread = (mcxG, parityG) => ({ mcxG, parityG, diff: mcxG - parityG, pct: (mcxG - parityG) / parityG * 100 });
+
+    // Gold Mini is quoted per 10g, Silver Mini per 1kg
+    Object.entries(LANDED.METALS).forEach(([metal, { spot, mcx, grams }]) => {
+        if (!isFresh(S[spot]) || !isFresh(S[mcx])) return;
+        const mcxG = S[mcx].cur / grams;
+        out[metal] = {
+            ...spread(mcxG, (S[spot].cur * S.usdinr.cur) / CFG.GRAMS_PER_OZ),
+            landed: spread(mcxG, landedParityG(metal, S[spot].cur, S.usdinr.cur))
+        };
     });
+    return out;
 }
 
 /* ══════════════════════════════════════════════
    FETCH ALL
 ══════════════════════════════════════════════ */
-async function fetchAll() {
-    // TradingView Scanning — fetch all markets in PARALLEL for fast load
-    const tvRequests = [
-        { m: 'india', t: ["NSE:GOLDBEES", "NSE:SILVERBEES", "NSE:TATAGOLD", "NSE:TATSILV"] },
-        { m: 'cfd', t: ["TVC:GOLD", "TVC:SILVER"] },
-        { m: 'forex', t: ["FX_IDC:USDINR"] },
-        { m: 'global', t: ["MCX:GOLDM1!", "MCX:SILVERM1!"] }
-    ];
-
-    // Fetch all TradingView endpoints in parallel (fast — usually < 1s)
-    const tvResults = await Promise.all(
-        tvRequests.map(req => fetchTradingView(req.m, req.t))
-    );
-    tvResults.forEach(res => { if (res) processTVData(res); });
+/**
+ * Applies a market-data update and refreshes everything that depends on it.
+ * Called by the market-data service (marketdata.js) for every poll, whichever tab made it.
+ *
+ * @param {object} results - group → { sym → quote } for the groups just fetched
+ */
+function applyMarketData(results, { primary = true } = {}) {
+    const groups = Object.keys(results);
+    if (!groups.length) return;
+    groups.forEach(group => {
+        processQuotes(results[group], primary);
+        recordFetchHealth(groupSymbols(group), results[group]);
+    });
+    // Recording and notifying happen once, in the primary dashboard tab
+    if (primary) {
+        updateMcxAnchor();
+        recordPremiums();
+    }
 
     renderUI();
-    EL.lastUpdated.textContent = istString(istNow());
+    refreshOpenCharts();
+    renderSpreadHistory();
+    if (primary) {
+        captureActualOpens(results);
+        evaluateAlerts();
+    }
+    // Only move "Updated" when at least one quote actually arrived
+    if (groups.some(g => Object.keys(results[g]).length)) EL.lastUpdated.textContent = istString();
 
     setTimeout(() => { S.firstLoad = false; }, 1000);
 }
@@ -572,107 +364,66 @@ function animateTo(el, target, dec = 2) {
 }
 
 function renderUI() {
-    // ── Gold USD ──
-    if (S.xau.cur) {
-        animateTo(EL.xauPrice, S.xau.cur, 2);
-        renderChange(EL.xauChangeRow, EL.xauChangeRow.querySelector('.caret'),
-            EL.xauChange, EL.xauPct, S.xau.cur, S.xau.prev, 2);
-        // INR per gram  = (Price_USD × USDINR) ÷ 28.3
-        if (S.usdinr.cur) {
-            const inrGram = (S.xau.cur * S.usdinr.cur) / CFG.GRAMS_PER_OZ;
-            EL.xauInrGram.textContent = fmtInrGram(inrGram);
-        }
-    }
+    // ── Instrument cards ──
+    getInstruments().forEach(inst => {
+        const st = S[inst.key];
+        const id = instrumentDomId(inst);
+        const priceEl = document.getElementById(`${id}-price`);
+        if (!st.cur || !priceEl) return;
+
+        const rowEl = document.getElementById(`${id}-change-row`);
+        animateTo(priceEl, st.cur, inst.decimals);
+        renderChange(rowEl, rowEl.querySelector('.caret'),
+            document.getElementById(`${id}-change`), document.getElementById(`${id}-pct`),
+            st.cur, st.prev, inst.changeDecimals ?? inst.decimals);
 
-    // ── Silver USD ──
-    if (S.xag.cur) {
-        animateTo(EL.xagPrice, S.xag.cur, 2);
-        renderChange(EL.xagChangeRow, EL.xagChangeRow.querySelector('.caret'),
-            EL.xagChange, EL.xagPct, S.xag.cur, S.xag.prev, 2);
-        if (S.usdinr.cur) {
-            const inrGram = (S.xag.cur * S.usdinr.cur) / CFG.GRAMS_PER_OZ;
-            EL.xagInrGram.textContent = fmtInrGram(inrGram);
+        // INR per gram  = (Price_USD × USDINR) ÷ 28.3
+        if (inst.inrGram && S.usdinr.cur) {
+            document.getElementById(`${id}-inr-gram`).textContent = fmtInrGram((st.cur * S.usdinr.cur) / CFG.GRAMS_PER_OZ);
         }
-    }
-
-    // ── USD/INR ──
-    if (S.usdinr.cur) {
-        animateTo(EL.usdinrPrice, S.usdinr.cur, 2);
-        renderChange(EL.usdinrChangeRow, EL.usdinrChangeRow.querySelector('.caret'),
-            EL.usdinrChange, EL.usdinrPct, S.usdinr.cur, S.usdinr.prev, 4);
-    }
-
-    // ── Gold BeES ──
-    if (S.goldBees.cur) {
-        animateTo(EL.gbPrice, S.goldBees.cur, 2);
-        renderChange(EL.gbChangeRow, EL.gbChangeRow.querySelector('.caret'),
-            EL.gbChange, EL.gbPct, S.goldBees.cur, S.goldBees.prev, 2);
-    }
-
-    // ── Silver BeES ──
-    if (S.silverBees.cur) {
-        animateTo(EL.sbPrice, S.silverBees.cur, 2);
-        renderChange(EL.sbChangeRow, EL.sbChangeRow.querySelector('.caret'),
-            EL.sbChange, EL.sbPct, S.silverBees.cur, S.silverBees.prev, 2);
-    }
-
-    // ── Tata Gold ──
-    if (S.tataGold.cur) {
-        animateTo(EL.tgPrice, S.tataGold.cur, 2);
-        renderChange(EL.tgChangeRow, EL.tgChangeRow.querySelector('.caret'),
-            EL.tgChange, EL.tgPct, S.tataGold.cur, S.tataGold.prev, 2);
-    }
-
-    // ── Tata Silver ──
-    if (S.tataSilver.cur) {
-        animateTo(EL.tsPrice, S.tataSilver.cur, 2);
-        renderChange(EL.tsChangeRow, EL.tsChangeRow.querySelector('.caret'),
-            EL.tsChange, EL.tsPct, S.tataSilver.cur, S.tataSilver.prev, 2);
-    }
-
-    // ── MCX Mini ──
-    if (S.xauM.cur) {
-        animateTo(EL.xaumPrice, S.xauM.cur, 0);
-        renderChange(EL.xaumChangeRow, EL.xaumChangeRow.querySelector('.caret'),
-            EL.xaumChange, EL.xaumPct, S.xauM.cur, S.xauM.prev, 0);
-    }
-    if (S.xagM.cur) {
-        animateTo(EL.xagmPrice, S.xagM.cur, 0);
-        renderChange(EL.xagmChangeRow, EL.xagmChangeRow.querySelector('.caret'),
-            EL.xagmChange, EL.xagmPct, S.xagM.cur, S.xagM.prev, 0);
-    }
+    });
 
     // ── Arbitrage / Spread Analysis ──
     renderSpreads();
+    renderFairValues();
+    renderTermStructure();
 
     // ── Gap Prediction ──
-    renderGap(S.xau, S.goldBees, EL.expGold, EL.goldAnchor, EL.goldNow, EL.goldGapPct, GOLD_MODEL);
-    renderGap(S.xag, S.silverBees, EL.expSilver, EL.silverAnchor, EL.silverNow, EL.silverGapPct, SILVER_MODEL);
-    renderGap(S.xau, S.tataGold, EL.expTataGold, EL.tataGoldAnchor, EL.tataGoldNow, EL.tataGoldGapPct, GOLD_MODEL);
-    renderGap(S.xag, S.tataSilver, EL.expTataSilver, EL.tataSilverAnchor, EL.tataSilverNow, EL.tataSilverGapPct, SILVER_MODEL);
-
-    function renderSpreads() {
-        if (!S.usdinr.cur) return;
+    renderGap(S.xau, S.goldBees, EL.expGold, EL.goldAnchor, EL.goldNow, EL.goldGapPct, resolveModel('NSE:GOLDBEES', GOLD_MODEL), 'NSE:GOLDBEES');
+    renderGap(S.xag, S.silverBees, EL.expSilver, EL.silverAnchor, EL.silverNow, EL.silverGapPct, resolveModel('NSE:SILVERBEES', SILVER_MODEL), 'NSE:SILVERBEES');
+    renderGap(S.xau, S.tataGold, EL.expTataGold, EL.tataGoldAnchor, EL.tataGoldNow, EL.tataGoldGapPct, resolveModel('NSE:TATAGOLD', GOLD_MODEL), 'NSE:TATAGOLD');
+    renderGap(S.xag, S.tataSilver, EL.expTataSilver, EL.tataSilverAnchor, EL.tataSilverNow, EL.tataSilverGapPct, resolveModel('NSE:TATSILV', SILVER_MODEL), 'NSE:TATSILV');
 
-        // Gold Spread
-        if (S.xau.cur && S.xauM.cur) {
-            const mcxPerGram = S.xauM.cur / 10; // Gold Mini is 10g
-            const parityInrG = (S.xau.cur * S.usdinr.cur) / CFG.GRAMS_PER_OZ;
-            updateSpreadUI(EL.goldSpreadPct, EL.goldSpreadAbs, mcxPerGram, parityInrG);
-        }
+    const mcxAnchor = rolledAnchor(loadMcxAnchor());
+    renderMcxGap(S.xau, mcxAnchor?.gold,
+        { exp: EL.expXauM, close: EL.xaumClose, usdPct: EL.xaumUsdPct, fxPct: EL.xaumFxPct, gapPct: EL.xaumGapPct }, 'MCX:GOLDM1!');
+    renderMcxGap(S.xag, mcxAnchor?.silver,
+        { exp: EL.expXagM, close: EL.xagmClose, usdPct: EL.xagmUsdPct, fxPct: EL.xagmFxPct, gapPct: EL.xagmGapPct }, 'MCX:SILVERM1!');
 
-        // Silver Spread
-        if (S.xag.cur && S.xagM.cur) {
-            const mcxPerGram = S.xagM.cur / 1000; // Silver Mini is 1kg
-            const parityInrG = (S.xag.cur * S.usdinr.cur) / CFG.GRAMS_PER_OZ;
-            updateSpreadUI(EL.silverSpreadPct, EL.silverSpreadAbs, mcxPerGram, parityInrG);
-        }
+    function renderSpreads() {
+        const spreads = calcSpreads();
+        ['gold', 'silver'].forEach(metal => {
+            [['spread', spreads[metal]], ['landed', spreads[metal]?.landed]].forEach(([row, spread]) => {
+                const pctEl = document.getElementById(`${metal}-${row}-pct`);
+                const absEl = document.getElementById(`${metal}-${row}-abs`);
+                if (spread) updateSpreadUI(pctEl, absEl, spread);
+                else if (pctEl && absEl) {
+                    // Never show a spread built from stale prices
+                    pctEl.textContent = 'Stale';
+                    pctEl.className = 'spread-pct';
+                    absEl.textContent = '--';
+                    absEl.className = 'spread-abs';
+                }
+            });
+            // z-score of the landed spread against its recorded history
+            const z = spreadView.stats[metal]?.z;
+            const landedEl = document.getElementById(`${metal}-landed-pct`);
+            if (landedEl) landedEl.title = z == null ? '' : `z-score ${z >= 0 ? '+' : ''}${z.toFixed(1)} vs the ${spreadView.range} history`;
+        });
     }
 
-    function updateSpreadUI(pctEl, absEl, mcxG, parityG) {
+    function updateSpreadUI(pctEl, absEl, { diff, pct }) {
         if (!pctEl || !absEl) return;
-        const diff = mcxG - parityG;
-        const pct = (diff / parityG) * 100;
         const sign = diff >= 0 ? '+' : '';
         const cls = diff >= 0 ? 'up' : 'down';
 
@@ -682,54 +433,25 @@ function renderUI() {
         absEl.className = `spread-abs ${cls}`;
     }
 
-    // Update Source Labels and Badges
-    const labels = document.querySelectorAll('.source-label');
-    const isTV = S.source === 'tradingview';
-    const mapping = isTV ? {
-        'xau-price': 'TVC:GOLD',
-        'xag-price': 'TVC:SILVER',
-        'usdinr-price': 'FX_IDC:USDINR',
-        'goldbees-price': 'NSE:GOLDBEES',
-        'silverbees-price': 'NSE:SILVERBEES',
-        'tatagold-price': 'NSE:TATAGOLD',
-        'tatasilver-price': 'NSE:TATSILV',
-        'xaum-price': 'MCX:GOLDM1!',
-        'xagm-price': 'MCX:SILVERM1!'
-    } : {
-        'xau-price': 'COMEX · GC=F',
-        'xag-price': 'COMEX · SI=F',
-        'usdinr-price': 'Forex pair',
-        'goldbees-price': 'GOLDBEES.NS · Nippon',
-        'silverbees-price': 'SILVERBEES.NS · Mirae',
-        'tatagold-price': 'TATAGOLD.NS · Tata',
-        'tatasilver-price': 'TATSILV.NS · Tata',
-        'xaum-price': 'MCX:GOLDM1!',
-        'xagm-price': 'MCX:SILVERM1!'
-    };
+    // Update Source Labels and Badges — show which provider served each card
+    getInstruments().forEach(({ sym, key }) => {
+        const provider = PROVIDERS[S[key].provider];
+        const card = document.querySelector(`.card[data-sym="${sym}"]`);
+        if (!card || !provider) return;
 
-    Object.keys(mapping).forEach(id => {
-        const card = document.getElementById(id)?.closest('.card');
-        if (card) {
-            const label = card.querySelector('.source-label');
-            if (label) label.textContent = mapping[id];
-
-            // Highlight TV badge if active
-            const badge = card.querySelector('.badge');
-            if (badge) {
-                if (isTV) {
-                    badge.textContent = 'TV';
-                    badge.classList.add('badge-derived');
-                } else {
-                    if (id.includes('bees')) badge.textContent = 'ETF';
-                    else if (id.includes('inr')) badge.textContent = 'INR';
-                    else if (id.includes('xaum') || id.includes('xagm')) badge.textContent = 'MCX';
-                    else badge.textContent = 'USD';
-                    badge.classList.remove('badge-derived');
-                }
-            }
+        const label = card.querySelector('.source-label');
+        if (label) label.textContent = provider.label(sym);
+
+        const badge = card.querySelector('.badge');
+        if (badge) {
+            badge.textContent = provider.badge;
+            badge.title = `Served by ${provider.name}`;
+            badge.classList.toggle('badge-fallback', provider.id !== MARKET_GROUPS[groupOfSymbol(sym)].providers[0]);
         }
     });
 
+    renderHealth();
+
     // Save to cache
     saveCache();
 }
@@ -738,18 +460,12 @@ function renderUI() {
    CACHE
  ══════════════════════════════════════════════ */
 function saveCache() {
+    // Never persist replayed prices; other tabs get the same quotes from the primary one
+    if (isReplayActive() || !isPrimaryTab()) return;
     try {
-        localStorage.setItem('market_data', JSON.stringify({
-            xau: S.xau,
-            xag: S.xag,
-            usdinr: S.usdinr,
-            goldBees: S.goldBees,
-            silverBees: S.silverBees,
-            tataGold: S.tataGold,
-            tataSilver: S.tataSilver,
-            xauM: S.xauM,
-            xagM: S.xagM
-        }));
+        localStorage.setItem('market_data', JSON.stringify(
+            Object.fromEntries(getInstruments().map(({ key }) => [key, S[key]]))
+        ));
     } catch (e) { }
 }
 
@@ -781,10 +497,15 @@ function loadCache() {
  * @param {HTMLElement} anchorEl   - Anchor price element (15:30 IST USD)
  * @param {HTMLElement} nowEl      - Current USD price element
  * @param {HTMLElement} pctEl      - Overnight move % element
- * @param {object} model      - Regression model { beta, r2 }
+ * @param {object} model      - Regression model { beta, r2, fitted }
+ * @param {string} sym        - ETF symbol the prediction is journaled under
  */
-function renderGap(usdState, beesState, expEl, anchorEl, nowEl, pctEl, model) {
+function renderGap(usdState, beesState, expEl, anchorEl, nowEl, pctEl, model, sym) {
     if (!usdState.cur || !usdState.prev || !beesState.cur) return;
+    if (!isFresh(usdState) || !isFresh(beesState)) {
+        refusePrediction(expEl, sym);
+        return;
+    }
 
     const overnightPct = (usdState.cur - usdState.prev) / usdState.prev;
 
@@ -802,22 +523,308 @@ function renderGap(usdState, beesState, expEl, anchorEl, nowEl, pctEl, model) {
     pctEl.className = `gap-pct ${cls}`;
 
     animateTo(expEl, expected, 2);
+    renderPredictionRange(expEl, expected, beesState.cur, model.sigma, 2);
+
+    const badge = expEl.closest('.card')?.querySelector('.model-badge');
+    if (badge) {
+        badge.innerHTML = `<i class="fa-solid fa-brain"></i> ${model.fitted ? 'Fitted' : 'ML'} Model &nbsp;·&nbsp; R²≈${model.r2.toFixed(2)} &nbsp;·&nbsp; β=${model.beta.toFixed(2)}`;
+    }
+
+    S.predicted[sym] = { expected, gapPct: (expected / beesState.cur - 1) * 100 };
+    if (!S.firstLoad && isPrimaryTab()) recordPrediction(sym, expected, beesState.cur, overnightPct, model.beta);
+}
+
+/**
+ * Blanks a prediction card whose inputs are stale instead of predicting from old prices.
+ */
+function refusePrediction(expEl, sym) {
+    expEl.textContent = '——';
+    const range = expEl.closest('.card')?.querySelector('.prediction-range');
+    if (range) range.textContent = 'Waiting for fresh prices — inputs are stale';
+    delete S.predicted[sym];
+}
+
+/**
+ * Shows the ±1σ expected range under a prediction card's price.
+ *
+ * @param {HTMLElement} expEl - Expected price element (its card holds the .prediction-range)
+ * @param {number} expected   - Point estimate
+ * @param {number} base       - Last close the prediction was built on
+ * @param {number|null} sigma - σ of realised errors as a fraction of the last close
+ * @param {number} dec        - Decimals
+ */
+function renderPredictionRange(expEl, expected, base, sigma, dec) {
+    const el = expEl.closest('.card')?.querySelector('.prediction-range');
+    if (!el) return;
+    if (!sigma) {
+        el.textContent = '±1σ range after 3 settled sessions';
+        return;
+    }
+    const band = base * sigma;
+    el.textContent = `±1σ  ₹${fmt(expected - band, dec)} – ₹${fmt(expected + band, dec)}`;
+}
+
+/* ══════════════════════════════════════════════
+   MCX OPEN FORECAST
+   MCX Mini tracks INR parity, so the overnight move is passed through 1:1:
+   expected_open = mcx_close × (usd_now / usd_at_close) × (usdinr_now / usdinr_at_close)
+   The "_at_close" values are the last snapshot taken while MCX was in session.
+══════════════════════════════════════════════ */
+const MCX_ANCHOR_KEY = 'mcx_close_anchor';
+let replayMcxAnchor = null; // kept in memory only while a replay is running
+
+function updateMcxAnchor() {
+    if (!isMcxOpen() || !isFresh(S.usdinr)) return;
+    if (![S.xau, S.xag, S.xauM, S.xagM].every(isFresh)) return;
+    const anchor = {
+        ts: clockNow(),
+        // next / expiry let the anchor follow the continuous contract across a rollover
+        gold: { mcx: S.xauM.cur, next: S.xauM2.cur, expiry: frontContract('xauM')?.expiry, usd: S.xau.cur, fx: S.usdinr.cur },
+        silver: { mcx: S.xagM.cur, next: S.xagM2.cur, expiry: frontContract('xagM')?.expiry, usd: S.xag.cur, fx: S.usdinr.cur }
+    };
+    if (isReplayActive()) {
+        replayMcxAnchor = anchor;
+        return;
+    }
+    try {
+        localStorage.setItem(MCX_ANCHOR_KEY, JSON.stringify(anchor));
+    } catch (e) { }
+}
+
+function loadMcxAnchor() {
+    if (isReplayActive()) return replayMcxAnchor;
+    try {
+        return JSON.parse(localStorage.getItem(MCX_ANCHOR_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Renders an MCX Mini expected-open card.
+ *
+ * @param {object} usdState - Gold/silver USD state (cur)
+ * @param {object} anchor   - { mcx, usd, fx } snapshot at the last MCX close
+ * @param {object} els      - { exp, close, usdPct, fxPct, gapPct } elements
+ * @param {string} sym      - MCX symbol the prediction is journaled under
+ */
+function renderMcxGap(usdState, anchor, els, sym) {
+    if (!els.exp || !anchor || !usdState.cur || !S.usdinr.cur) return;
+    if (!isFresh(usdState) || !isFresh(S.usdinr)) {
+        refusePrediction(els.exp, sym);
+        return;
+    }
+
+    const usdPct = usdState.cur / anchor.usd - 1;
+    const fxPct = S.usdinr.cur / anchor.fx - 1;
+    const totalPct = (1 + usdPct) * (1 + fxPct) - 1;
+    const expected = anchor.mcx * (1 + totalPct);
+
+    els.close.textContent = `₹${fmt(anchor.mcx, 0)}`;
+    [[els.usdPct, usdPct], [els.fxPct, fxPct], [els.gapPct, totalPct]].forEach(([el, pct]) => {
+        const sign = pct >= 0 ? '+' : '';
+        el.textContent = `${sign}${fmt(pct * 100)}%`;
+        el.className = `gap-pct ${pct > 0 ? 'up' : pct < 0 ? 'down' : ''}`;
+    });
+
+    animateTo(els.exp, expected, 0);
+    renderPredictionRange(els.exp, expected, anchor.mcx, predictionSigma(sym, calibration.windowDays), 0);
+
+    S.predicted[sym] = { expected, gapPct: totalPct * 100 };
+    if (!S.firstLoad && isPrimaryTab()) recordPrediction(sym, expected, anchor.mcx, totalPct, 1);
+}
+
+/* ══════════════════════════════════════════════
+   INSTRUMENT CARDS
+   Built from the registry (instruments.js). Element ids follow
+   <domId>-price / -change-row / -change / -pct / -inr-gram.
+══════════════════════════════════════════════ */
+
+/**
+ * Price element id → canonical symbol for each card (binds the history charts).
+ */
+function cardSymbols() {
+    return Object.fromEntries(getInstruments().map(inst => [`${instrumentDomId(inst)}-price`, inst.sym]));
+}
+
+function cardTemplate(inst) {
+    const id = instrumentDomId(inst);
+    return `
+        <div class="card" data-sym="${escapeHtml(inst.sym)}">
+            <div class="card-meta">
+                <div class="asset-icon ${inst.metal}"><i class="fa-solid ${inst.icon}"></i></div>
+                <div>
+                    <div class="asset-name">${escapeHtml(inst.name)}</div>
+                    <div class="asset-sub"><span class="source-label">${escapeHtml(inst.sym)}</span> <span class="health-badge" hidden></span></div>
+                </div>
+                <div class="badge">${escapeHtml(inst.badge)}</div>
+            </div>
+            <div class="card-price">
+                <span class="price-currency">${escapeHtml(inst.unit)}</span><span class="price-value" id="${id}-price">Loading...</span>
+            </div>
+            <div class="card-change" id="${id}-change-row">
+                <i class="fa-solid fa-caret-up caret"></i>
+                <span id="${id}-change">Loading...</span>
+                <span id="${id}-pct" class="pct">(Loading...)</span>
+                <span class="tag-1d">1D</span>
+            </div>
+            ${inst.inrGram ? `
+            <div class="inr-gram-row">
+                <span class="inr-gram-label">Per gram (INR)</span>
+                <span class="inr-gram-value" id="${id}-inr-gram">Loading...</span>
+            </div>` : ''}
+            ${inst.fairValue ? `
+            <div class="inr-gram-row">
+                <span class="inr-gram-label">Fair value</span>
+                <span class="inr-gram-value"><span id="${id}-fair">--</span> <span id="${id}-premium" class="spread-pct"></span></span>
+            </div>` : ''}
+            ${inst.curve ? `
+            <div class="inr-gram-row">
+                <span class="inr-gram-label">Contract</span>
+                <span class="inr-gram-value" id="${id}-contract">--</span>
+            </div>` : ''}
+            ${inst.spread ? `
+            <div class="card-spread-wrap" id="${inst.spread}-spread-wrap">
+                <span class="spread-label">Intl. Spread</span>
+                <div class="spread-values">
+                    <span id="${inst.spread}-spread-pct" class="spread-pct">--</span>
+                    <span id="${inst.spread}-spread-abs" class="spread-abs">--</span>
+                </div>
+            </div>
+            <div class="card-spread-wrap">
+                <span class="spread-label">vs Landed</span>
+                <div class="spread-values">
+                    <span id="${inst.spread}-landed-pct" class="spread-pct">--</span>
+                    <span id="${inst.spread}-landed-abs" class="spread-abs">--</span>
+                </div>
+            </div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * (Re)builds every section's cards from the registry and binds their charts.
+ */
+function renderCards() {
+    Object.entries(INSTRUMENT_SECTIONS).forEach(([section, { container }]) => {
+        const el = document.getElementById(container);
+        if (!el) return;
+        el.innerHTML = getInstruments().filter(i => i.section === section).map(cardTemplate).join('');
+    });
+    initCardCharts(cardSymbols());
+}
+
+/* ══════════════════════════════════════════════
+   INSTRUMENT MANAGER
+══════════════════════════════════════════════ */
+function initInstrumentManager() {
+    const form = document.getElementById('instrument-form');
+    if (!form) return;
+
+    document.getElementById('instrument-market').innerHTML = Object.entries(MARKET_GROUPS)
+        .map(([id, g]) => `<option value="${id}">${g.label}</option>`).join('');
+    document.getElementById('instrument-section').innerHTML = Object.entries(INSTRUMENT_SECTIONS)
+        .map(([id, sec]) => `<option value="${id}">${sec.label}</option>`).join('');
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const errorEl = document.getElementById('instrument-error');
+        try {
+            addCustomInstrument({
+                sym: document.getElementById('instrument-sym').value,
+                name: document.getElementById('instrument-name').value,
+                market: document.getElementById('instrument-market').value,
+                section: document.getElementById('instrument-section').value,
+                unit: document.getElementById('instrument-unit').value.trim(),
+                decimals: parseInt(document.getElementById('instrument-decimals').value, 10),
+                badge: document.getElementById('instrument-badge').value.trim(),
+                grams: parseFloat(document.getElementById('instrument-grams').value),
+                expenseRatio: parseFloat(document.getElementById('instrument-ter').value)
+            });
+        } catch (err) {
+            errorEl.textContent = err.message;
+            return;
+        }
+        errorEl.textContent = '';
+        form.reset();
+        onInstrumentsChanged();
+    });
+
+    renderInstrumentList();
+}
+
+function renderInstrumentList() {
+    const listEl = document.getElementById('instrument-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = getInstruments().map(inst => `
+        <div class="transaction-item">
+            <div class="tx-info">
+                <div class="tx-asset-row">
+                    <span class="tx-asset">${escapeHtml(inst.name)}</span>
+                    <span class="tx-type ${inst.custom ? 'buy' : 'sell'}">${inst.custom ? 'CUSTOM' : 'BUILT-IN'}</span>
+                </div>
+                <div class="tx-details">${escapeHtml(inst.sym)} • ${MARKET_GROUPS[inst.market]?.label || inst.market} • ${INSTRUMENT_SECTIONS[inst.section]?.label || inst.section || 'Term structure'}</div>
+            </div>
+            ${inst.custom ? `
+            <div class="tx-actions">
+                <button class="btn-delete" data-sym="${escapeHtml(inst.sym)}" title="Stop tracking">
+                    <i class="fa-solid fa-trash-can"></i>
+                </button>
+            </div>` : ''}
+        </div>
+    `).join('');
+
+    listEl.querySelectorAll('.btn-delete[data-sym]').forEach(btn =>
+        btn.addEventListener('click', () => removeInstrument(btn.dataset.sym)));
+}
+
+function removeInstrument(sym) {
+    const inst = instrumentBySym(sym);
+    if (!inst?.custom || !confirm(`Stop tracking ${inst.name}?`)) return;
+    removeCustomInstrument(sym);
+    delete S[inst.key];
+    onInstrumentsChanged();
+}
+
+function onInstrumentsChanged() {
+    rebuildInstrumentCards();
+    notifyInstrumentsChanged();
+}
+
+function rebuildInstrumentCards() {
+    syncInstrumentState();
+    renderCards();
+    renderInstrumentList();
+    renderAlertMetricOptions();
 }
 
 /* ══════════════════════════════════════════════
    BOOTSTRAP
 ══════════════════════════════════════════════ */
-document.addEventListener('DOMContentLoaded', async () => {
+document.addEventListener('DOMContentLoaded', () => {
     initTheme();
-    startLiveClock();
+    renderCalendarWarning();
+    loadCalendars();
+    startLiveClock(() => {
+        updateNseStatus();
+        updatePredictionSection();
+    });
     startCountdown();
+    renderCards();
+    initInstrumentManager();
+    pruneHistory();
+    renderJournal();
+    renderCalibration();
+    initLandedCost();
+    initAlerts();
+    initHealth();
 
     loadCache(); // Load previous values for instant feel
 
-    await fetchAll();
+    // Another tab added / removed an instrument
+    document.addEventListener('instruments:changed', rebuildInstrumentCards);
 
-    setInterval(async () => {
-        await fetchAll();
-        resetCountdown();
-    }, CFG.INTERVAL);
+    // One tab polls for all of them; replays are handled by the service too
+    startMarketService(applyMarketData);
 });
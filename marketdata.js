@@ -0,0 +1,242 @@
+/**
+ * AurumTrack — Shared Market-Data Service
+ * Features:
+ *  - One tab polls for every open dashboard / portfolio tab: a Web Lock elects the
+ *    leader, which runs the scheduler and broadcasts each result over a BroadcastChannel
+ *  - Followers render exactly the quotes the leader fetched (same prices on every page)
+ *  - A newly opened tab gets the leader's latest quotes, request log and schedule at once
+ *  - Closing the leader hands polling to the next tab waiting on the lock
+ *  - A tab running a replay steps out and polls its replay locally; it never broadcasts
+ *  - One primary tab per page records and notifies (alerts, journal, ticks, premiums,
+ *    snapshots); the others only update state and render
+ *  - Falls back to polling in every tab where BroadcastChannel / Web Locks are missing
+ *
+ * Shared by the dashboard (main.js) and the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const MARKET_SERVICE = {
+    CHANNEL: 'aurumtrack-market',
+    LOCK: 'aurumtrack-poller'
+};
+
+const marketService = {
+    role: 'idle',        // 'leader' polls + broadcasts · 'follower' listens · 'local' polls a replay for itself
+    id: Math.random().toString(36).slice(2),
+    channel: null,
+    handler: null,       // page callback: async (group → quotes) => void
+    last: {},            // group → latest quotes, replayed to tabs that join
+    nextAt: 0,           // leader's next fetch, as seen by followers
+    visibleTabs: new Set(), // follower ids whose page is visible (leader only)
+    lockAbort: null,
+    releaseLock: null,
+    primary: false       // this page's recording tab (see isPrimaryTab)
+};
+
+/**
+ * Every group that currently has at least one registered symbol.
+ */
+function serviceGroups() {
+    return Object.keys(MARKET_GROUPS).filter(g => groupSymbols(g).length);
+}
+
+function postService(msg) {
+    marketService.channel?.postMessage({ ...msg, from: marketService.id });
+}
+
+/* ══════════════════════════════════════════════
+   POLLING (leader / local)
+══════════════════════════════════════════════ */
+async function servicePoll(groups) {
+    const results = Object.fromEntries(
+        await Promise.all(groups.map(async g => [g, await fetchGroupQuotes(g)]))
+    );
+
+    if (marketService.role === 'leader') {
+        Object.assign(marketService.last, results);
+        postService({ type: 'quotes', results, log: providerLog });
+        // The scheduler reschedules once this handler returns
+        setTimeout(() => postService({ type: 'schedule', nextAt: Date.now() + nextPollIn() }));
+    }
+
+    await marketService.handler(results, { primary: isPrimaryTab() });
+    return results;
+}
+
+function becomeLeader() {
+    marketService.role = 'leader';
+    // Keep polling at the visible pace while any tab is being looked at
+    poller.isHidden = () => document.hidden && !marketService.visibleTabs.size;
+    postService({ type: 'leader' });
+    startPolling(serviceGroups(), servicePoll);
+}
+
+/**
+ * Queues for the poller lock. Until it's granted this tab is a follower.
+ */
+function joinElection() {
+    marketService.role = 'follower';
+    marketService.lockAbort = new AbortController();
+    postService({ type: 'hello', hidden: document.hidden });
+
+    navigator.locks.request(MARKET_SERVICE.LOCK, { signal: marketService.lockAbort.signal }, () =>
+        new Promise(resolve => {
+            marketService.releaseLock = resolve;
+            becomeLeader();
+        })
+    ).catch(() => { }); // aborted — the tab went local for a replay
+}
+
+/**
+ * Leaves the election (handing the lock on) and polls locally — used while replaying.
+ */
+function goLocal() {
+    marketService.lockAbort?.abort();
+    marketService.releaseLock?.();
+    marketService.releaseLock = null;
+    marketService.role = 'local';
+    poller.isHidden = () => document.hidden;
+    startPolling(serviceGroups(), servicePoll);
+}
+
+/* ══════════════════════════════════════════════
+   MESSAGES
+══════════════════════════════════════════════ */
+function onServiceMessage({ data: msg }) {
+    const { role } = marketService;
+
+    switch (msg.type) {
+        case 'quotes':
+            if (role !== 'follower') return;
+            Object.assign(marketService.last, msg.results);
+            providerLog.splice(0, providerLog.length, ...msg.log);
+            marketService.handler(msg.results, { primary: isPrimaryTab() });
+            break;
+        case 'schedule':
+            marketService.nextAt = msg.nextAt;
+            break;
+        case 'leader':
+            // A new leader doesn't know who is watching
+            if (role === 'follower') postService({ type: 'visibility', hidden: document.hidden });
+            break;
+        case 'hello':
+            if (role !== 'leader') return;
+            trackVisibility(msg.from, msg.hidden);
+            postService({ type: 'quotes', results: marketService.last, log: providerLog });
+            postService({ type: 'schedule', nextAt: Date.now() + nextPollIn() });
+            break;
+        case 'visibility':
+            if (role === 'leader') trackVisibility(msg.from, msg.hidden);
+            break;
+        case 'bye':
+            marketService.visibleTabs.delete(msg.from);
+            break;
+        case 'refresh':
+            if (role === 'leader') pollNow();
+            break;
+        case 'instruments':
+            customInstruments = loadCustomInstruments();
+            document.dispatchEvent(new CustomEvent('instruments:changed'));
+            if (role === 'leader') {
+                setPollGroups(serviceGroups());
+                pollNow();
+            }
+            break;
+    }
+}
+
+function trackVisibility(id, hidden) {
+    if (hidden) marketService.visibleTabs.delete(id);
+    else marketService.visibleTabs.add(id);
+    wakePolling();
+}
+
+/* ══════════════════════════════════════════════
+   PUBLIC API
+══════════════════════════════════════════════ */
+
+/**
+ * Starts receiving market data.
+ *
+ * @param {Function} handler - async (results: group → { sym → quote }, { primary }) called for
+ *   every update; side effects (alerts, journal, recording) belong behind `primary`
+ */
+function startMarketService(handler) {
+    marketService.handler = handler;
+
+    // Replay started, seeked or stopped
+    document.addEventListener('replay:seek', () => {
+        if (!marketService.channel) return pollNow(); // no sharing — always local
+        if (isReplayActive() && marketService.role !== 'local') goLocal();
+        else if (!isReplayActive() && marketService.role === 'local') {
+            stopPolling();
+            joinElection();
+            return;
+        }
+        requestMarketRefresh();
+    });
+
+    if (!window.BroadcastChannel || !navigator.locks) {
+        marketService.role = 'local';
+        return startPolling(serviceGroups(), servicePoll);
+    }
+
+    claimPrimary();
+    marketService.channel = new BroadcastChannel(MARKET_SERVICE.CHANNEL);
+    marketService.channel.onmessage = onServiceMessage;
+
+    document.addEventListener('visibilitychange', () => {
+        if (marketService.role === 'follower') postService({ type: 'visibility', hidden: document.hidden });
+    });
+    window.addEventListener('pagehide', () => postService({ type: 'bye' }));
+
+    if (isReplayActive()) goLocal();
+    else joinElection();
+}
+
+/**
+ * Fetches everything now (manual retry, new instrument, replay seek).
+ */
+function requestMarketRefresh() {
+    if (marketService.role === 'follower') postService({ type: 'refresh' });
+    else pollNow();
+}
+
+/**
+ * Tells every tab the instrument registry changed, then refreshes.
+ */
+function notifyInstrumentsChanged() {
+    postService({ type: 'instruments' });
+    if (marketService.role !== 'follower') setPollGroups(serviceGroups());
+    requestMarketRefresh();
+}
+
+/**
+ * Whether this tab does the recording and notifying for its page: the first open
+ * tab of each page (dashboard / portfolio), whichever tab polls. Tabs polling for
+ * themselves (a replay, or no BroadcastChannel / Web Locks) always are.
+ */
+function isPrimaryTab() {
+    return marketService.role === 'local' || marketService.primary;
+}
+
+/**
+ * Holds this page's primary lock until the tab closes, once the previous holder goes.
+ */
+function claimPrimary() {
+    navigator.locks.request(`${MARKET_SERVICE.LOCK}:${location.pathname}`, () =>
+        new Promise(() => { marketService.primary = true; })
+    );
+}
+
+/**
+ * Milliseconds until the next fetch, whichever tab does it.
+ */
+function marketNextPollIn() {
+    if (marketService.role === 'follower') return Math.max(0, marketService.nextAt - Date.now());
+    return nextPollIn();
+}
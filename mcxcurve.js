@@ -0,0 +1,209 @@
+/**
+ * AurumTrack — MCX Term Structure & Rollover
+ * Features:
+ *  - Front and next two contract months of Gold Mini, Gold, Silver Mini and Silver
+ *    (TradingView continuous M1! / M2! / M3! symbols, fetched like any instrument)
+ *  - Expiry dates from each product's contract calendar; days to expiry
+ *  - Calendar spread between consecutive months and annualised carry vs. landed
+ *    parity (landedcost.js)
+ *  - Warning banner while a front month is close to expiry, and the contract month
+ *    on each MCX card, so the continuous price never jumps silently at rollover
+ *  - Rollover-aware MCX close anchor for the open forecast
+ *
+ * Used by the dashboard (main.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const MCX_CURVE = {
+    WARN_DAYS: 5, // banner once the front month is this many days from expiry
+    MONTHS: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    /**
+     * Contract calendars per MCX's contract specifications: listed months and the
+     * expiry day (5th, or the last day of the month) — moved back to the previous
+     * business day when it falls on a weekend or holiday. `keys` are the state keys
+     * of the front / next / far continuous contracts (instruments.js); prices are
+     * quoted per `grams`.
+     */
+    PRODUCTS: {
+        GOLDM: { name: 'Gold Mini', metal: 'gold', grams: 10, keys: ['xauM', 'xauM2', 'xauM3'], months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], expiryDay: 5 },
+        GOLD: { name: 'Gold', metal: 'gold', grams: 10, keys: ['xauB', 'xauB2', 'xauB3'], months: [2, 4, 6, 8, 10, 12], expiryDay: 5 },
+        SILVERM: { name: 'Silver Mini', metal: 'silver', grams: 1000, keys: ['xagM', 'xagM2', 'xagM3'], months: [2, 4, 6, 8, 11], expiryDay: 'last' },
+        SILVER: { name: 'Silver', metal: 'silver', grams: 1000, keys: ['xagB', 'xagB2', 'xagB3'], months: [3, 5, 7, 9, 12], expiryDay: 5 }
+    }
+};
+
+/* ══════════════════════════════════════════════
+   CALENDAR
+══════════════════════════════════════════════ */
+
+/**
+ * Expiry moves off clearing-bank holidays — the NSE list — even on days MCX runs
+ * an evening session.
+ */
+function isMcxBusinessDay(day) {
+    return isExchangeTradingDay('nse', day);
+}
+
+/**
+ * Expiry day ('YYYY-MM-DD') of a product's contract for a month (1–12).
+ */
+function contractExpiry(product, year, month) {
+    const dom = product.expiryDay === 'last' ? new Date(Date.UTC(year, month, 0)).getUTCDate() : product.expiryDay;
+    let t = Date.UTC(year, month - 1, dom);
+    while (!isMcxBusinessDay(new Date(t).toISOString().slice(0, 10))) t -= 864e5;
+    return new Date(t).toISOString().slice(0, 10);
+}
+
+/**
+ * The next `count` live contracts on or after `today`, front month first.
+ *
+ * @returns {Array<{ label: string, expiry: string }>} label e.g. "Dec 26"
+ */
+function liveContracts(product, today, count = 3) {
+    const out = [];
+    let [year, month] = today.split('-').map(Number);
+    while (out.length < count) {
+        if (product.months.includes(month)) {
+            const expiry = contractExpiry(product, year, month);
+            if (expiry >= today) out.push({ label: `${MCX_CURVE.MONTHS[month - 1]} ${String(year).slice(2)}`, expiry });
+        }
+        if (++month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return out;
+}
+
+function mcxToday() {
+    return istToday();
+}
+
+/* ══════════════════════════════════════════════
+   TERM STRUCTURE
+══════════════════════════════════════════════ */
+
+/**
+ * One row per live contract of a product.
+ *
+ * @returns {Array<{ key, label, expiry, days, price, calSpread, calPct, carry, rollAnn }>}
+ *   calSpread / calPct — vs. the previous month (null for the front)
+ *   carry   — annualised premium over landed parity (null when prices are stale)
+ *   rollAnn — calendar spread annualised over the days between the two expiries
+ */
+function termStructure(product) {
+    const today = mcxToday();
+    const spot = S[LANDED.METALS[product.metal].spot];
+    const parity = isFresh(spot) && isFresh(S.usdinr)
+        ? landedParityG(product.metal, spot.cur, S.usdinr.cur) * product.grams
+        : null;
+
+    let prev = null;
+    return liveContracts(product, today, product.keys.length).map((c, i) => {
+        const st = S[product.keys[i]];
+        const price = isFresh(st) ? st.cur : null;
+        const carryDays = Math.max(daysUntil(today, c.expiry), 1);
+        const row = {
+            key: product.keys[i],
+            ...c,
+            days: daysUntil(today, c.expiry),
+            price,
+            calSpread: price && prev?.price ? price - prev.price : null,
+            calPct: price && prev?.price ? (price / prev.price - 1) * 100 : null,
+            carry: price && parity ? (price / parity - 1) * 365 / carryDays * 100 : null,
+            rollAnn: price && prev?.price ? (price / prev.price - 1) * 365 / Math.max(daysUntil(prev.expiry, c.expiry), 1) * 100 : null
+        };
+        prev = row;
+        return row;
+    });
+}
+
+function daysUntil(fromDay, toDay) {
+    return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / 864e5);
+}
+
+/**
+ * Front-month contract label / expiry of the product a card belongs to (by state key).
+ */
+function frontContract(key) {
+    const product = Object.values(MCX_CURVE.PRODUCTS).find(p => p.keys[0] === key);
+    return product ? liveContracts(product, mcxToday(), 1)[0] : null;
+}
+
+/**
+ * The stored MCX close anchor, switched to the next contract's close when the
+ * front month has expired since it was taken (the continuous price rolled).
+ */
+function rolledAnchor(anchor) {
+    if (!anchor) return anchor;
+    const out = { ...anchor };
+    [['gold', 'xauM'], ['silver', 'xagM']].forEach(([metal, key]) => {
+        const a = anchor[metal];
+        const front = frontContract(key);
+        if (a?.expiry && a.next && front && front.expiry !== a.expiry) out[metal] = { ...a, mcx: a.next };
+    });
+    return out;
+}
+
+/* ══════════════════════════════════════════════
+   RENDER
+══════════════════════════════════════════════ */
+
+/**
+ * Contract row on the MCX cards, the expiry banner and the term-structure tables.
+ */
+function renderTermStructure() {
+    const today = mcxToday();
+    const warnings = [];
+
+    Object.values(MCX_CURVE.PRODUCTS).forEach(product => {
+        const front = liveContracts(product, today, 1)[0];
+        const days = daysUntil(today, front.expiry);
+        if (days <= MCX_CURVE.WARN_DAYS) {
+            const next = liveContracts(product, today, 2)[1];
+            warnings.push(`${product.name} ${front.label} expires ${days === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`} (${front.expiry}) — the continuous price rolls to ${next.label}.`);
+        }
+
+        const inst = instrumentByKey(product.keys[0]);
+        const el = inst && document.getElementById(`${instrumentDomId(inst)}-contract`);
+        if (el) {
+            el.textContent = `${front.label} · ${days}d to expiry`;
+            el.className = `inr-gram-value ${days <= MCX_CURVE.WARN_DAYS ? 'text-down' : ''}`;
+        }
+    });
+
+    const banner = document.getElementById('mcx-expiry-banner');
+    if (banner) {
+        banner.hidden = !warnings.length;
+        banner.innerHTML = warnings.map(w => `<div><i class="fa-solid fa-triangle-exclamation"></i> ${w}</div>`).join('');
+    }
+
+    const tableEl = document.getElementById('mcx-curve');
+    if (!tableEl) return;
+    const signed = (v, dec = 2, suffix = '') => v == null ? '——' : `<span class="${v >= 0 ? 'text-up' : 'text-down'}">${v >= 0 ? '+' : ''}${fmt(v, dec)}${suffix}</span>`;
+
+    tableEl.innerHTML = `
+        <table class="accuracy-table">
+            <thead>
+                <tr><th>Contract</th><th>Expiry</th><th>Days</th><th>Price</th><th>Calendar spread</th><th>Roll p.a.</th><th>Carry p.a. vs landed</th></tr>
+            </thead>
+            <tbody>
+                ${Object.values(MCX_CURVE.PRODUCTS).map(product => termStructure(product).map(r => `
+                    <tr>
+                        <td>${product.name} ${r.label}</td>
+                        <td>${r.expiry}</td>
+                        <td class="${r.days <= MCX_CURVE.WARN_DAYS ? 'text-down' : ''}">${r.days}</td>
+                        <td>${r.price ? `₹${fmt(r.price, 0)}` : '<span class="pending">Stale</span>'}</td>
+                        <td>${r.calSpread == null ? '——' : `${signed(r.calSpread, 0)} (${signed(r.calPct, 2, '%')})`}</td>
+                        <td>${signed(r.rollAnn, 2, '%')}</td>
+                        <td>${signed(r.carry, 2, '%')}</td>
+                    </tr>
+                `).join('')).join('')}
+            </tbody>
+        </table>
+    `;
+}
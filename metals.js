@@ -0,0 +1,207 @@
+/**
+ * AurumTrack — Physical Gold, SGBs & Digital Gold
+ * Features:
+ *  - Holdings that aren't exchange-traded ETFs: physical gold (24K / 22K / 18K) and
+ *    silver (999 / 925) in grams, Sovereign Gold Bonds and digital gold
+ *  - Valued live from the INR-per-gram price — (USD spot × USDINR) ÷ grams per
+ *    troy ounce — scaled by purity
+ *  - GST and making charges on physical / digital purchases
+ *  - SGB interest: 2.5% a year on the issue price, paid every six months from the
+ *    issue date until maturity (8 years), plus interest accrued since the last coupon
+ *  - Daily gram-price history from Yahoo for the equity-curve back-fill
+ *
+ * Used by the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const METALS = {
+    // Real troy ounce (as LANDED.GRAMS_PER_TROY_OZ) — not the dashboard's 28.3 display figure
+    GRAMS_PER_TROY_OZ: 31.1035,
+    SPOT: { gold: 'TVC:GOLD', silver: 'TVC:SILVER' },
+    FX: 'FX_IDC:USDINR',
+    CHARGES: {
+        physical: { gstPct: 3, makingGstPct: 5 },
+        digital: { gstPct: 3 }
+    },
+    SGB: {
+        RATE_PCT: 2.5,         // a year, on the issue price
+        COUPON_MONTHS: 6,
+        TENOR_MONTHS: 96
+    }
+};
+
+/**
+ * Holdings beyond the registry ETFs. kind: physical | sgb | digital.
+ * purity is the fine-metal fraction the gram price is scaled by.
+ */
+const METAL_HOLDINGS = [
+    { name: 'Physical Gold 24K', kind: 'physical', metal: 'gold', purity: 0.999 },
+    { name: 'Physical Gold 22K', kind: 'physical', metal: 'gold', purity: 0.916 },
+    { name: 'Physical Gold 18K', kind: 'physical', metal: 'gold', purity: 0.75 },
+    { name: 'Physical Silver 999', kind: 'physical', metal: 'silver', purity: 0.999 },
+    { name: 'Physical Silver 925', kind: 'physical', metal: 'silver', purity: 0.925, aliases: ['sterling silver'] },
+    { name: 'Sovereign Gold Bond', kind: 'sgb', metal: 'gold', purity: 0.999, aliases: ['sgb', 'sgbs', 'gold bond'] },
+    { name: 'Digital Gold', kind: 'digital', metal: 'gold', purity: 0.999 }
+];
+
+/* ══════════════════════════════════════════════
+   LOOKUPS
+══════════════════════════════════════════════ */
+
+function metalHolding(asset) {
+    return METAL_HOLDINGS.find(h => h.name === asset);
+}
+
+/**
+ * 'etf' for registry instruments, otherwise the holding's kind.
+ */
+function holdingKind(asset) {
+    return metalHolding(asset)?.kind || 'etf';
+}
+
+/**
+ * Whether quantities of the asset are grams (SGB units are one gram each, but counted as units).
+ */
+function isGramHolding(asset) {
+    return ['physical', 'digital'].includes(holdingKind(asset));
+}
+
+/* ══════════════════════════════════════════════
+   VALUATION
+══════════════════════════════════════════════ */
+
+/**
+ * INR per gram of pure metal from spot quotes (sym → { cur }).
+ *
+ * @returns {{ gold?: number, silver?: number }}
+ */
+function gramPrices(quotes) {
+    const fx = quotes[METALS.FX]?.cur;
+    const out = {};
+    if (!fx) return out;
+    Object.entries(METALS.SPOT).forEach(([metal, sym]) => {
+        if (quotes[sym]?.cur) out[metal] = quotes[sym].cur * fx / METALS.GRAMS_PER_TROY_OZ;
+    });
+    return out;
+}
+
+/**
+ * Live price of one gram / unit of a holding (0 while the spot price is unknown).
+ */
+function metalHoldingPrice(holding, grams) {
+    return (grams[holding.metal] || 0) * holding.purity;
+}
+
+/**
+ * Daily INR prices of a holding from Yahoo's spot and USDINR closes.
+ *
+ * @returns {Promise<Array<{ day: string, close: number }>>}
+ */
+async function fetchMetalDailyCloses(holding, from, to = Date.now()) {
+    const [spot, fx] = await Promise.all([
+        fetchYahooDailyCloses(METALS.SPOT[holding.metal], from, to),
+        fetchYahooDailyCloses(METALS.FX, from, to)
+    ]);
+    const fxByDay = Object.fromEntries(fx.map(c => [c.day, c.close]));
+    let lastFx = null;
+    return spot.map(({ day, close }) => {
+        lastFx = fxByDay[day] || lastFx;
+        return lastFx ? { day, close: metalHoldingPrice(holding, { [holding.metal]: close * lastFx / METALS.GRAMS_PER_TROY_OZ }) } : null;
+    }).filter(Boolean);
+}
+
+/* ══════════════════════════════════════════════
+   CHARGES
+══════════════════════════════════════════════ */
+
+/**
+ * GST (and making charges, from tx.making) on a physical / digital purchase.
+ * Selling back to a jeweller or platform carries no GST for an individual.
+ *
+ * @returns {{ making, gst, total }}
+ */
+function metalOrderCharges(tx, kind) {
+    const rates = METALS.CHARGES[kind];
+    if (tx.type !== 'buy') return { making: 0, gst: 0, total: 0 };
+
+    const making = tx.making || 0;
+    const gst = Math.abs(tx.units) * tx.price * rates.gstPct / 100 + making * (rates.makingGstPct || 0) / 100;
+    return { making, gst, total: making + gst };
+}
+
+/* ══════════════════════════════════════════════
+   SOVEREIGN GOLD BONDS
+══════════════════════════════════════════════ */
+
+/**
+ * Issue day, issue price and maturity of the SGB bought in `tx` (defaults: the trade itself).
+ */
+function sgbTerms(tx) {
+    const issueDay = tx.issueDate || istDay(tx.date);
+    return {
+        issueDay,
+        issuePrice: tx.issuePrice || tx.price,
+        maturityDay: addMonthsToDay(issueDay, METALS.SGB.TENOR_MONTHS)
+    };
+}
+
+/**
+ * Interest on SGB holdings: coupons paid while each lot was held, and interest
+ * accrued on what's still held since its last coupon.
+ *
+ * @param {Array}  transactions - Raw (gross-price) transactions
+ * @param {number} [now]
+ * @returns {{ received: number, accrued: number, coupons: Array<{ date, amount }>, nextCoupon: string|null, maturity: string|null }|null}
+ *   maturity — earliest maturity of the bonds still held
+ */
+function sgbInterest(transactions, now = Date.now()) {
+    const bonds = transactions.filter(tx => holdingKind(tx.asset) === 'sgb');
+    if (!bonds.length) return null;
+
+    const byId = Object.fromEntries(bonds.map(tx => [tx.id, tx]));
+    const today = istDay(new Date(now).toISOString());
+    const perCoupon = METALS.SGB.RATE_PCT / 100 * METALS.SGB.COUPON_MONTHS / 12;
+    const out = { received: 0, accrued: 0, coupons: [], nextCoupon: null, maturity: null };
+
+    // Coupon days of the bond after `fromDay`, up to and including `toDay`
+    const couponDays = (terms, fromDay, toDay) => {
+        const days = [];
+        for (let m = METALS.SGB.COUPON_MONTHS; m <= METALS.SGB.TENOR_MONTHS; m += METALS.SGB.COUPON_MONTHS) {
+            const day = addMonthsToDay(terms.issueDay, m);
+            if (day > toDay) break;
+            if (day > fromDay) days.push(day);
+        }
+        return days;
+    };
+    const pay = (terms, units, fromDay, toDay) => couponDays(terms, fromDay, toDay).forEach(day => {
+        const amount = units * terms.issuePrice * perCoupon;
+        out.received += amount;
+        out.coupons.push({ date: Date.parse(`${day}T06:30:00Z`), amount }); // noon IST
+    });
+
+    const { lots, matches } = matchAccountsFifo(bonds);
+    matches.forEach(m => pay(sgbTerms(byId[m.buyTxId]), m.units, m.buyDay, m.sellDay));
+
+    Object.values(lots).flat().forEach(lot => {
+        const terms = sgbTerms(byId[lot.txId]);
+        const heldTo = terms.maturityDay < today ? terms.maturityDay : today;
+        pay(terms, lot.units, istDay(lot.date), heldTo);
+        if (!out.maturity || terms.maturityDay < out.maturity) out.maturity = terms.maturityDay;
+        if (terms.maturityDay <= today) return;
+
+        const paid = couponDays(terms, terms.issueDay, today);
+        const last = paid.length ? paid[paid.length - 1] : terms.issueDay;
+        const since = daysBetween(last > istDay(lot.date) ? last : istDay(lot.date), today);
+        out.accrued += lot.units * terms.issuePrice * METALS.SGB.RATE_PCT / 100 * since / 365;
+
+        const next = addMonthsToDay(terms.issueDay, (paid.length + 1) * METALS.SGB.COUPON_MONTHS);
+        if (!out.nextCoupon || next < out.nextCoupon) out.nextCoupon = next;
+    });
+
+    out.coupons.sort((a, b) => a.date - b.date);
+    return out;
+}
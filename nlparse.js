@@ -0,0 +1,239 @@
+/**
+ * AurumTrack — Natural-Language Trade Parser
+ * Features:
+ *  - Reads phrases like "sold 20 tata silver @ 9.45 yesterday" or
+ *    "bought ₹10k of goldbees at 61" into a transaction
+ *  - Asset aliases (tickers, spaced / unspaced names) from the instrument registry,
+ *    plus physical gold / silver, SGBs and digital gold (metals.js), in units or grams
+ *  - Quantity- or amount-based trades (₹10k, 1.5 lakh, 2 cr); amounts buy whole units,
+ *    or fractional grams of physical / digital metal
+ *  - Relative and absolute dates: today, yesterday, 3 days ago, last friday,
+ *    12 aug, 12/08/2025, 2025-08-12, with an optional time (10:30 am)
+ *  - Explains what's missing or ambiguous instead of guessing
+ *
+ * Used by the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const NL = {
+    BUY_WORDS: ['bought', 'buy', 'purchased', 'purchase', 'added', 'add', 'accumulated'],
+    SELL_WORDS: ['sold', 'sell', 'exited', 'exit', 'booked', 'redeemed'],
+    GRAM_DECIMALS: 4, // amounts of gram holdings buy grams to this precision
+    // Extra aliases per registry key; tickers and names are added automatically
+    ALIASES: {
+        goldBees: ['nippon gold', 'gold etf bees'],
+        silverBees: ['nippon silver'],
+        tataGold: ['tata gold etf'],
+        tataSilver: ['tata silver etf', 'tatasilver']
+    },
+    MULTIPLIERS: { k: 1e3, thousand: 1e3, l: 1e5, lac: 1e5, lakh: 1e5, lakhs: 1e5, cr: 1e7, crore: 1e7, crores: 1e7 },
+    WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+    MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+    PAST_TIME: '12:00' // for back-dated trades given without a time
+};
+
+const NUM = String.raw`(\d[\d,]*(?:\.\d+)?)`;
+const CURRENCY = String.raw`(?:₹|\brs\.?|\binr\b)`;
+const SCALE = String.raw`(k|thousand|lakhs?|lac|l|crores?|cr)?\b`;
+
+/* ══════════════════════════════════════════════
+   HELPERS
+══════════════════════════════════════════════ */
+
+function toNumber(digits, scale) {
+    return parseFloat(digits.replace(/,/g, '')) * (scale ? NL.MULTIPLIERS[scale] : 1);
+}
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lower-case alias → asset name for every holdable instrument.
+ */
+function nlAliases() {
+    const map = {};
+    holdableInstruments().forEach(inst => {
+        const name = inst.name.toLowerCase();
+        [inst.sym.split(':').pop().toLowerCase(), name, name.replace(/\s+/g, ''), ...(NL.ALIASES[inst.key] || [])]
+            .forEach(a => { map[a] = inst.name; });
+    });
+    METAL_HOLDINGS.forEach(h => {
+        [h.name.toLowerCase(), ...(h.aliases || [])].forEach(a => { map[a] = h.name; });
+    });
+    return map;
+}
+
+/**
+ * Removes the first match of `re` from the text and returns [match, rest].
+ */
+function takeMatch(text, re) {
+    const m = text.match(re);
+    return m ? [m, text.replace(m[0], ' ')] : [null, text];
+}
+
+/* ══════════════════════════════════════════════
+   FIELDS
+══════════════════════════════════════════════ */
+
+function parseAction(text) {
+    const words = text.split(/[^a-z]+/);
+    const buy = NL.BUY_WORDS.some(w => words.includes(w));
+    const sell = NL.SELL_WORDS.some(w => words.includes(w));
+    if (buy && sell) return { error: 'Both a buy and a sell word — say just one of "bought" or "sold".' };
+    if (!buy && !sell) return { error: 'Say whether you bought or sold.' };
+    return { type: buy ? 'buy' : 'sell' };
+}
+
+function parseAsset(text) {
+    const aliases = nlAliases();
+    const hits = new Set();
+    let rest = text;
+
+    // Longest aliases first, so "tata silver etf" wins over "tata silver"
+    Object.keys(aliases).sort((a, b) => b.length - a.length).forEach(alias => {
+        const re = new RegExp(`\\b${escapeRegExp(alias)}\\b`);
+        if (re.test(rest)) {
+            hits.add(aliases[alias]);
+            rest = rest.replace(re, ' ');
+        }
+    });
+
+    const names = [...hits];
+    if (names.length > 1) return { error: `Several assets mentioned (${names.join(', ')}) — record one trade at a time.` };
+    if (names.length === 1) return { asset: names[0], rest };
+
+    // A bare metal is ambiguous when more than one holding tracks it
+    const metal = ['gold', 'silver'].find(m => new RegExp(`\\b${m}\\b`).test(text));
+    const candidates = holdableInstruments().filter(i => i.metal === metal).map(i => i.name);
+    if (metal && candidates.length === 1) return { asset: candidates[0], rest: rest.replace(metal, ' ') };
+    if (metal) return { error: `"${metal}" could be ${candidates.join(' or ')} — name the ETF.` };
+    return { error: `Which asset? Try one of: ${holdableInstruments().map(i => i.name).join(', ')}.` };
+}
+
+/**
+ * Trade date from the text (relative to `now`), or today.
+ *
+ * @returns {{ date?: Date, rest?: string, error?: string }}
+ */
+function parseDate(text, now) {
+    let rest = text;
+    let day = null;
+    let m;
+
+    if (([m, rest] = takeMatch(rest, /\bday before yesterday\b/))[0]) day = -2;
+    else if (([m, rest] = takeMatch(rest, /\byesterday\b/))[0]) day = -1;
+    else if (([m, rest] = takeMatch(rest, /\btoday\b/))[0]) day = 0;
+    else if (([m, rest] = takeMatch(rest, /\b(\d+)\s+days?\s+ago\b/))[0]) day = -Number(m[1]);
+
+    const date = new Date(now);
+    if (day !== null) date.setDate(date.getDate() + day);
+    else if (([m, rest] = takeMatch(rest, new RegExp(`\\b(?:last|on)?\\s*(${NL.WEEKDAYS.join('|')})\\b`)))[0]) {
+        // Most recent such day before today
+        const back = (date.getDay() - NL.WEEKDAYS.indexOf(m[1]) + 7) % 7 || 7;
+        date.setDate(date.getDate() - back);
+        day = -back;
+    } else if (([m, rest] = takeMatch(rest, /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))[0]) {
+        date.setFullYear(+m[1], +m[2] - 1, +m[3]);
+        day = 'abs';
+    } else if (([m, rest] = takeMatch(rest, /\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?\b/))[0]) {
+        const y = m[3] ? (m[3].length === 2 ? 2000 + +m[3] : +m[3]) : date.getFullYear();
+        date.setFullYear(y, +m[2] - 1, +m[1]);
+        day = 'abs';
+    } else if (([m, rest] = takeMatch(rest, new RegExp(`\\b(?:on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(${NL.MONTHS.join('|')})[a-z]*\\.?(?:,?\\s+(\\d{4}))?\\b`)))[0]) {
+        date.setFullYear(m[3] ? +m[3] : date.getFullYear(), NL.MONTHS.indexOf(m[2]), +m[1]);
+        // "12 dec" said in January means last December
+        if (!m[3] && date > now) date.setFullYear(date.getFullYear() - 1);
+        day = 'abs';
+    }
+
+    let time;
+    [time, rest] = takeMatch(rest, /\b(\d{1,2}):(\d{2})\s*(am|pm)?\b/);
+    if (time) {
+        let hh = +time[1];
+        if (time[3]) hh = (hh % 12) + (time[3] === 'pm' ? 12 : 0);
+        date.setHours(hh, +time[2], 0, 0);
+    } else if (day !== null && day !== 0) {
+        const [hh, mm] = NL.PAST_TIME.split(':').map(Number);
+        date.setHours(hh, mm, 0, 0);
+    }
+
+    if (isNaN(date)) return { error: 'Couldn\'t read the date.' };
+    if (date > now) return { error: 'That date is in the future.' };
+    return { date, rest };
+}
+
+/* ══════════════════════════════════════════════
+   PARSE
+══════════════════════════════════════════════ */
+
+/**
+ * Parses a free-text trade.
+ *
+ * @param {string} input
+ * @param {object} [opts]
+ * @param {Date}   [opts.now]    - Reference for relative dates (default: now)
+ * @param {object} [opts.prices] - asset → live price, used when no price is given
+ * @returns {{ ok: true, tx: { type, asset, units, price, date }, notes: string[] }
+ *         | { ok: false, error: string }}
+ */
+function parseTradeText(input, { now = new Date(), prices = {} } = {}) {
+    let text = ` ${input.toLowerCase().replace(/\s+/g, ' ')} `;
+    const notes = [];
+    const fail = error => ({ ok: false, error });
+
+    const action = parseAction(text);
+    if (action.error) return fail(action.error);
+
+    const asset = parseAsset(text);
+    if (asset.error) return fail(asset.error);
+    text = asset.rest;
+
+    // Dates and times first — their digits would otherwise read as quantities
+    const when = parseDate(text, now);
+    if (when.error) return fail(when.error);
+    text = when.rest;
+
+    let m;
+    [m, text] = takeMatch(text, new RegExp(`(?:@|\\bat\\b|\\bprice(?: of)?\\b|\\brate\\b)\\s*${CURRENCY}?\\s*${NUM}`));
+    let price = m ? toNumber(m[1]) : null;
+
+    [m, text] = takeMatch(text, new RegExp(`(?:${CURRENCY}\\s*${NUM}\\s*${SCALE}|\\bworth\\s+${CURRENCY}?\\s*${NUM}\\s*${SCALE}|${NUM}\\s*${SCALE}\\s*(?:rupees|inr|worth))`));
+    const amount = m ? toNumber(m[1] || m[3] || m[5], m[2] || m[4] || m[6]) : null;
+
+    [m, text] = takeMatch(text, new RegExp(`${NUM}\\s*${SCALE}\\s*(?:units?|shares?|qty|nos?|grams?|gms?)?`));
+    let units = m ? toNumber(m[1], m[2]) : null;
+
+    if (/\d/.test(text)) return fail(`Not sure what "${text.match(/\S*\d\S*/)[0]}" refers to — use "at" for the price and ₹ for an amount.`);
+    if (amount && units && price) return fail('Give either the quantity or the amount, not both.');
+
+    const grams = isGramHolding(asset.asset);
+    const qty = n => grams ? `${fmt(n, NL.GRAM_DECIMALS)} g` : `${fmt(n, 0)} units`;
+
+    if (amount && units) {
+        price = amount / units;
+        notes.push(`Price worked out as ₹${fmt(price)} from ₹${fmt(amount)} ÷ ${qty(units)}.`);
+    }
+    if (!price) {
+        if (!prices[asset.asset]) return fail('Add a price, e.g. "at 61".');
+        price = prices[asset.asset];
+        notes.push(`No price given — using the live price ₹${fmt(price)}.`);
+    }
+    if (amount && !units && grams) {
+        units = +(amount / price).toFixed(NL.GRAM_DECIMALS);
+        if (!units) return fail(`₹${fmt(amount)} is too little to buy at ₹${fmt(price)} / g.`);
+        notes.push(`₹${fmt(amount)} at ₹${fmt(price)} / g buys ${qty(units)}.`);
+    } else if (amount && !units) {
+        units = Math.floor(amount / price);
+        if (!units) return fail(`₹${fmt(amount)} doesn't buy a single unit at ₹${fmt(price)}.`);
+        const left = amount - units * price;
+        notes.push(`₹${fmt(amount)} at ₹${fmt(price)} buys ${fmt(units, 0)} whole units${left > 0 ? ` (₹${fmt(left)} left over)` : ''}.`);
+    }
+    if (!units) return fail('How many units? e.g. "20 units" or an amount like "₹10k".');
+
+    return { ok: true, tx: { type: action.type, asset: asset.asset, units, price, date: when.date }, notes };
+}
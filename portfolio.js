@@ -1,43 +1,90 @@
 /**
  * Portfolio P&L Tracker Logic
  * Features:
- *  - Natural Language Parsing (e.g., "I bought 50 units of Gold BeES at 58.20")
+ *  - Natural Language Parsing (e.g., "I bought 50 units of Gold BeES at 58.20",
+ *    "sold 20 tata silver @ 9.45 yesterday") via nlparse.js, confirmed before saving
  *  - LocalStorage Persistence
  *  - Real-time P&L calculation
  *  - Multi-lot support
+ *  - Prices via providers.js (same TradingView → Yahoo failover as the dashboard)
+ *  - Replay mode (replay.js) for offline demos
+ *  - Holdable assets come from the instrument registry (instruments.js), plus
+ *    physical gold / silver, SGBs and digital gold (metals.js) valued from the live
+ *    INR-per-gram price, with making charges and SGB interest
+ *  - FIFO lot accounting with STCG / LTCG per lot and an FY capital-gains statement
+ *    (gains.js); average cost remains available as an alternative view
+ *  - Trade date / time and a free-text note (#tags) on every transaction; any entry
+ *    can be edited inline in the history and everything recomputes
+ *  - Portfolio summary: invested, value, realized + unrealized P&L, XIRR and
+ *    time-weighted return (returns.js), with TWR per asset on each card
+ *  - Daily valuation snapshots (snapshots.js), back-filled from past closes, drawn
+ *    as an equity curve against invested capital with drawdown and best / worst day
+ *  - Charges model (charges.js): brokerage per broker, exchange / SEBI / STT / stamp /
+ *    GST / DP; cost basis, P&L, gains and returns are net, with gross shown alongside
+ *  - Named accounts (accounts.js) with a switcher, a consolidated "all accounts" view
+ *    with a per-account breakdown, and transactions movable between accounts
+ *  - Broker tradebook CSV import (tradebook.js) with preview, duplicate detection
+ *    by trade ID and a report of rejected rows
+ *  - Prices from the shared market-data service (marketdata.js) — the exact quotes
+ *    the dashboard shows, polled once for all open tabs; fmt / clock / theme in common.js
  */
 
 'use strict';
 
-const CONFIG = {
-    API: 'https://scanner.tradingview.com/india/scan',
-    INTERVAL: 10000, // 10s for portfolio updates
-};
-
 const STATE = {
-    portfolio: JSON.parse(localStorage.getItem('mohit_portfolio')) || [],
-    prices: {
-        'Gold BeES': { cur: 0, sym: 'NSE:GOLDBEES' },
-        'Silver BeES': { cur: 0, sym: 'NSE:SILVERBEES' },
-        'Tata Gold': { cur: 0, sym: 'NSE:TATAGOLD' },
-        'Tata Silver': { cur: 0, sym: 'NSE:TATSILV' }
-    }
+    ledger: JSON.parse(localStorage.getItem('mohit_portfolio')) || [], // every account's transactions
+    portfolio: [],     // the selected account's transactions (or all of them)
+    accounts: loadAccounts(),
+    account: localStorage.getItem(ACCOUNTS.SELECTED_KEY) || ACCOUNTS.DEFAULT.id,
+    prices: buildPriceTable(),
+    spot: {},          // sym → latest quote, for the gram price of physical holdings
+    charges: loadChargeModel(),
+    gainsYear: null,   // FY shown in the capital-gains statement (null → latest)
+    pendingImport: null, // parsed tradebook awaiting confirmation
+    editingId: null,    // history entry being edited inline
+    pendingParse: null  // free-text trade awaiting confirmation
 };
 
+/**
+ * Asset name → { cur, sym } for every holdable registry instrument, then the
+ * metals.js holdings (no symbol — priced from the gram price). Keeps known prices.
+ */
+function buildPriceTable(prev = {}) {
+    return Object.fromEntries([
+        ...holdableInstruments().map(i => [i.name, prev[i.name] || { cur: 0, sym: i.sym }]),
+        ...METAL_HOLDINGS.map(h => [h.name, prev[h.name] || { cur: 0, sym: null }])
+    ]);
+}
+
 const ELEMENTS = {
     form: document.getElementById('transaction-form'),
+    nlForm: document.getElementById('nl-form'),
+    nlInput: document.getElementById('nl-input'),
+    nlConfirm: document.getElementById('nl-confirm'),
     inputAction: document.getElementById('input-action'),
     inputUnits: document.getElementById('input-units'),
     inputAsset: document.getElementById('input-asset'),
     inputPrice: document.getElementById('input-price'),
+    inputDate: document.getElementById('input-date'),
+    inputNote: document.getElementById('input-note'),
+    inputAccount: document.getElementById('input-account'),
+    inputUnitLabel: document.getElementById('input-unit-label'),
+    inputMaking: document.getElementById('input-making'),
+    inputIssueDate: document.getElementById('input-issue-date'),
+    inputIssuePrice: document.getElementById('input-issue-price'),
+    accountSelect: document.getElementById('account-select'),
+    accountBreakdown: document.getElementById('account-breakdown'),
     container: document.getElementById('portfolio-container'),
+    summary: document.getElementById('portfolio-summary'),
+    equityChart: document.getElementById('equity-chart'),
+    equityStats: document.getElementById('equity-stats'),
     list: document.getElementById('transaction-list'),
-    clock: document.getElementById('live-clock'),
-    countdown: document.getElementById('countdown'),
-    lastUpdated: document.getElementById('last-updated-time'),
-    html: document.documentElement,
-    themeIcon: document.getElementById('theme-icon'),
-    themeBtn: document.getElementById('theme-toggle')
+    costMethod: document.getElementById('cost-method'),
+    gains: document.getElementById('gains-container'),
+    charges: document.getElementById('charges-panel'),
+    importFile: document.getElementById('import-file'),
+    importPreview: document.getElementById('import-preview'),
+    lastUpdated: document.getElementById('last-updated-time')
 };
 
 /* ══════════════════════════════════════════════
@@ -45,16 +92,138 @@ const ELEMENTS = {
    ══════════════════════════════════════════════ */
 
 function savePortfolio() {
-    localStorage.setItem('mohit_portfolio', JSON.stringify(STATE.portfolio));
+    syncView();
+    localStorage.setItem('mohit_portfolio', JSON.stringify(STATE.ledger));
+    refreshSnapshots();
+}
+
+/**
+ * Points STATE.portfolio at the selected account's transactions.
+ */
+function syncView() {
+    STATE.portfolio = STATE.account === ACCOUNTS.ALL
+        ? STATE.ledger
+        : STATE.ledger.filter(tx => tx.account === STATE.account);
+}
+
+/**
+ * Revalues stored snapshots against the ledger, then back-fills missing days in the background.
+ */
+function refreshSnapshots() {
+    rebuildSnapshots(netLedger());
+    const sources = Object.fromEntries(Object.entries(STATE.prices).map(([a, p]) => {
+        const holding = metalHolding(a);
+        return [a, holding ? from => fetchMetalDailyCloses(holding, from) : from => fetchYahooDailyCloses(p.sym, from)];
+    }));
+    backfillSnapshots(netLedger(), sources).then(added => { if (added) renderEquity(); });
+}
+
+function getCostMethod() {
+    return localStorage.getItem(GAINS.METHOD_KEY) === 'average' ? 'average' : 'fifo';
+}
+
+/**
+ * The ledger with brokerage and statutory charges folded into each trade's price (charges.js).
+ */
+function netLedger(transactions = STATE.portfolio) {
+    return netTransactions(transactions, STATE.charges);
+}
+
+/**
+ * Per-asset holdings under the selected cost method, net of charges, each with
+ * its gross figures alongside. Also stamps each sell with its realizedPnl (net)
+ * and grossPnl for the history and monthly analytics.
+ *
+ * Each account is costed on its own and the results are added up.
+ *
+ * @returns {object} asset → { units, totalCost, avgCost, realizedPnl, lots?, charges, gross }
+ */
+function calculateHoldings(method = getCostMethod(), transactions = STATE.portfolio) {
+    const calc = method === 'average' ? calculateAverageHoldings : calculateFifoHoldings;
+    const perAccount = txs => mergeHoldings(Object.values(byAccount(txs)).map(calc));
+    const ledger = netLedger(transactions);
+    const gross = perAccount(transactions.map(tx => ({ ...tx })));
+    const net = perAccount(ledger);
+
+    transactions.forEach(tx => {
+        // An edit may have turned a sell into a buy — drop figures from the last pass
+        delete tx.realizedPnl;
+        delete tx.grossPnl;
+        if (net.realized[tx.id] === undefined) return;
+        tx.realizedPnl = net.realized[tx.id];
+        tx.grossPnl = gross.realized[tx.id];
+    });
+
+    Object.entries(net.holdings).forEach(([asset, h]) => {
+        h.gross = gross.holdings[asset];
+        h.charges = ledger.filter(tx => tx.asset === asset).reduce((n, tx) => n + tx.chargesTotal, 0);
+    });
+    return net.holdings;
+}
+
+/**
+ * Sums per-account holdings ({ holdings, realized } results) into one.
+ */
+function mergeHoldings(results) {
+    const holdings = {};
+    const realized = {};
+    Object.keys(STATE.prices).forEach(asset => {
+        holdings[asset] = { units: 0, totalCost: 0, avgCost: 0, realizedPnl: 0, lots: [] };
+    });
+
+    results.forEach(r => {
+        Object.assign(realized, r.realized);
+        Object.entries(r.holdings).forEach(([asset, h]) => {
+            const m = holdings[asset];
+            m.units += h.units;
+            m.totalCost += h.totalCost;
+            m.realizedPnl += h.realizedPnl;
+            m.avgCost = m.units > 0 ? m.totalCost / m.units : 0;
+            if (h.lots) m.lots.push(...h.lots);
+        });
+    });
+
+    Object.values(holdings).forEach(h => h.lots.sort((a, b) => Date.parse(a.date) - Date.parse(b.date)));
+    return { holdings, realized };
+}
+
+/**
+ * @returns {{ holdings: object, realized: object }} realized — sell id → P&L
+ */
+function calculateFifoHoldings(transactions) {
+    const holdings = {};
+    const realized = {};
+    const { lots, matches } = matchLotsFifo(transactions);
+
+    Object.keys(STATE.prices).forEach(asset => {
+        const open = lots[asset] || [];
+        const units = open.reduce((n, l) => n + l.units, 0);
+        const totalCost = open.reduce((n, l) => n + l.units * l.price, 0);
+        holdings[asset] = {
+            units,
+            totalCost,
+            avgCost: units > 0 ? totalCost / units : 0,
+            realizedPnl: matches.filter(m => m.asset === asset).reduce((n, m) => n + m.gain, 0),
+            lots: open
+        };
+    });
+
+    transactions.forEach(tx => {
+        if (tx.type !== 'sell') return;
+        realized[tx.id] = matches.filter(m => m.sellTxId === tx.id).reduce((n, m) => n + m.gain, 0);
+    });
+
+    return { holdings, realized };
 }
 
-function calculateHoldings() {
+function calculateAverageHoldings(transactions) {
     const holdings = {};
+    const realized = {};
     Object.keys(STATE.prices).forEach(asset => {
         holdings[asset] = { units: 0, totalCost: 0, avgCost: 0, realizedPnl: 0 };
     });
 
-    STATE.portfolio.forEach(tx => {
+    chronological(transactions).forEach(tx => {
         const h = holdings[tx.asset];
         if (!h) return;
 
@@ -65,14 +234,12 @@ function calculateHoldings() {
         } else {
             // Realized Profit = (Sell Price - Current Avg Cost) * Absolute Units Sold
             const absoluteUnits = Math.abs(tx.units);
-            const realized = (tx.price - (h.avgCost || 0)) * absoluteUnits;
+            const pnl = (tx.price - (h.avgCost || 0)) * absoluteUnits;
 
-            h.realizedPnl += realized;
+            h.realizedPnl += pnl;
             h.units -= absoluteUnits;
             h.totalCost -= (absoluteUnits * (h.avgCost || 0));
-
-            // Attach realized pnl to the transaction object in memory for history rendering
-            tx.realizedPnl = realized;
+            realized[tx.id] = pnl;
 
             if (h.units <= 0) {
                 h.units = 0;
@@ -84,7 +251,7 @@ function calculateHoldings() {
         }
     });
 
-    return holdings;
+    return { holdings, realized };
 }
 
 function calculateAnalytics() {
@@ -93,90 +260,400 @@ function calculateAnalytics() {
         if (tx.type === 'sell' && tx.realizedPnl !== undefined) {
             const date = new Date(tx.date);
             const monthKey = date.toLocaleString('default', { month: 'long', year: 'numeric' });
-            if (!monthly[monthKey]) monthly[monthKey] = 0;
-            monthly[monthKey] += tx.realizedPnl;
+            if (!monthly[monthKey]) monthly[monthKey] = { net: 0, gross: 0 };
+            monthly[monthKey].net += tx.realizedPnl;
+            monthly[monthKey].gross += tx.grossPnl;
         }
     });
     return monthly;
 }
 
-function addTransaction(action, asset, units, price) {
-    STATE.portfolio.push({
-        id: Date.now(),
+/**
+ * Unique, increasing transaction id (several can be created in the same millisecond on import).
+ */
+function nextTxId() {
+    return Math.max(Date.now(), ...STATE.ledger.map(t => t.id + 1));
+}
+
+/**
+ * Account that new trades go into: the one picked in the form.
+ */
+function targetAccount() {
+    return ELEMENTS.inputAccount.value || STATE.accounts[0].id;
+}
+
+/**
+ * Records a trade.
+ *
+ * @param {string} [date]  - ISO timestamp of the trade (defaults to now)
+ * @param {string} [note]  - Free text; words starting with # are shown as tags
+ * @param {object} [extra] - Holding-specific fields: making (₹) for physical metal,
+ *                           issueDate / issuePrice for an SGB
+ */
+function addTransaction(action, asset, units, price, date = new Date().toISOString(), note = '', extra = {}) {
+    STATE.ledger.push({
+        id: nextTxId(),
+        account: targetAccount(),
         asset: asset,
         units: units,
         price: price,
-        date: new Date().toISOString(),
-        type: action
+        date: date,
+        type: action,
+        ...(note ? { note } : {}),
+        ...extra
     });
 
     savePortfolio();
     renderAll();
 }
 
+/**
+ * Applies an inline edit. Returns false (leaving the entry untouched) when the values are invalid.
+ */
+function updateTransaction(id, changes) {
+    const tx = STATE.ledger.find(t => t.id === id);
+    if (!tx || !(changes.units > 0) || !(changes.price > 0) || !changes.date) return false;
+
+    Object.assign(tx, changes);
+    if (!tx.note) delete tx.note;
+    if (!(tx.charges >= 0)) delete tx.charges;
+    savePortfolio();
+    renderAll();
+    return true;
+}
+
 function deleteTransaction(id) {
-    STATE.portfolio = STATE.portfolio.filter(t => t.id !== id);
+    STATE.ledger = STATE.ledger.filter(t => t.id !== id);
     savePortfolio();
     renderAll();
 }
 
 /* ══════════════════════════════════════════════
-   PRICE FETCHING
+   ACCOUNTS
    ══════════════════════════════════════════════ */
-// ... (fetch logic remains same)
 
-async function fetchPrices() {
-    const tickers = Object.values(STATE.prices).map(p => p.sym);
+function renderAccountBar() {
+    const isAll = STATE.account === ACCOUNTS.ALL;
+    const options = STATE.accounts.map(a => `<option value="${a.id}">${escapeHtml(a.name)}</option>`).join('');
+
+    ELEMENTS.accountSelect.innerHTML = `<option value="${ACCOUNTS.ALL}">All accounts</option>${options}`;
+    ELEMENTS.accountSelect.value = STATE.account;
+    ELEMENTS.inputAccount.innerHTML = options;
+    ELEMENTS.inputAccount.value = isAll ? STATE.accounts[0].id : STATE.account;
+    // Only worth asking which account a trade goes into when looking at all of them
+    ELEMENTS.inputAccount.closest('.account-pick').hidden = !isAll || STATE.accounts.length < 2;
+    document.getElementById('account-rename').disabled = isAll;
+    document.getElementById('account-delete').disabled = isAll || STATE.accounts.length < 2;
+}
+
+function selectAccount(id) {
+    STATE.account = id === ACCOUNTS.ALL || STATE.accounts.some(a => a.id === id) ? id : STATE.accounts[0].id;
+    localStorage.setItem(ACCOUNTS.SELECTED_KEY, STATE.account);
+    STATE.editingId = null;
+    syncView();
+    renderAccountBar();
+    refreshSnapshots();
+    renderAll();
+}
+
+function addAccount() {
+    const name = prompt('Name of the new account (e.g. a family member or demat account):');
+    if (name === null) return;
+    try {
+        const account = createAccount(name, STATE.accounts);
+        STATE.accounts.push(account);
+        saveAccounts(STATE.accounts);
+        selectAccount(account.id);
+    } catch (e) {
+        alert(e.message);
+    }
+}
+
+function renameAccount() {
+    const account = STATE.accounts.find(a => a.id === STATE.account);
+    if (!account) return;
+    const name = prompt('Rename account:', account.name);
+    if (name === null) return;
     try {
-        const r = await fetch(CONFIG.API, {
-            method: 'POST',
-            body: JSON.stringify({
-                symbols: { tickers },
-                columns: ["close"]
-            })
+        account.name = createAccount(name, STATE.accounts.filter(a => a !== account)).name;
+        saveAccounts(STATE.accounts);
+        renderAccountBar();
+        renderAll();
+    } catch (e) {
+        alert(e.message);
+    }
+}
+
+/**
+ * Deletes the selected account; its transactions move to the first remaining one.
+ */
+function removeAccount() {
+    const account = STATE.accounts.find(a => a.id === STATE.account);
+    if (!account || STATE.accounts.length < 2) return;
+
+    const target = STATE.accounts.find(a => a !== account);
+    const count = STATE.portfolio.length;
+    const moved = count ? ` Its ${count} transaction${count === 1 ? '' : 's'} will move to "${target.name}".` : '';
+    if (!confirm(`Delete the account "${account.name}"?${moved}`)) return;
+
+    STATE.ledger.forEach(tx => { if (tx.account === account.id) tx.account = target.id; });
+    STATE.accounts = STATE.accounts.filter(a => a !== account);
+    saveAccounts(STATE.accounts);
+    savePortfolio();
+    selectAccount(target.id);
+}
+
+/**
+ * Consolidated view only: invested, value, P&L and XIRR of each account.
+ */
+function renderAccountBreakdown(prices) {
+    if (!ELEMENTS.accountBreakdown) return;
+    if (STATE.account !== ACCOUNTS.ALL || STATE.accounts.length < 2) {
+        ELEMENTS.accountBreakdown.innerHTML = '';
+        return;
+    }
+
+    const signed = v => `<span class="${v >= 0 ? 'text-up' : 'text-down'}">${v >= 0 ? '+' : ''}₹${fmt(v)}</span>`;
+    const groups = byAccount(STATE.ledger);
+    const rows = STATE.accounts.map(account => {
+        const txs = groups[account.id] || [];
+        const holdings = calculateHoldings(getCostMethod(), txs);
+        let invested = 0, value = 0, realized = 0;
+        Object.entries(holdings).forEach(([asset, h]) => {
+            invested += h.totalCost;
+            value += h.units * (prices[asset] || h.avgCost);
+            realized += h.realizedPnl;
         });
-        if (r.ok) {
-            const res = await r.json();
-            if (res.data) {
-                res.data.forEach(item => {
-                    const price = item.d[0];
-                    const asset = Object.keys(STATE.prices).find(k => STATE.prices[k].sym === item.s);
-                    if (asset) STATE.prices[asset].cur = price;
-                });
-            }
-        }
+        const irr = xirr(portfolioCashFlows(netLedger(txs), value));
+
+        return `
+            <tr>
+                <td>${escapeHtml(account.name)}</td>
+                <td>${txs.length}</td>
+                <td>₹${fmt(invested)}</td>
+                <td>₹${fmt(value)}</td>
+                <td>${signed(realized)}</td>
+                <td>${signed(value - invested)}</td>
+                <td>${irr === null ? '——' : fmtPct(irr)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    ELEMENTS.accountBreakdown.innerHTML = `
+        <div class="accuracy-history">
+            <table class="accuracy-table">
+                <thead>
+                    <tr><th>Account</th><th>Trades</th><th>Invested</th><th>Value</th><th>Realized</th><th>Unrealized</th><th>XIRR</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/* ══════════════════════════════════════════════
+   CHARGES
+   ══════════════════════════════════════════════ */
+
+function renderChargesPanel() {
+    if (!ELEMENTS.charges) return;
+    const { broker, rates } = STATE.charges;
+
+    ELEMENTS.charges.innerHTML = `
+        <div class="calibration-controls">
+            <label>Broker
+                <select id="charges-broker" class="input-inline select-inline">
+                    ${Object.entries(CHARGES.BROKERS).map(([id, b]) => `<option value="${id}" ${id === broker ? 'selected' : ''}>${b.name}</option>`).join('')}
+                    <option value="custom" ${broker === 'custom' ? 'selected' : ''}>Custom</option>
+                </select>
+            </label>
+            <span>Editing a rate switches to a custom schedule.</span>
+        </div>
+        <div class="charges-grid">
+            ${CHARGES.FIELDS.map(([key, label]) => `
+                <label class="charges-field">
+                    <span>${label}</span>
+                    <input type="number" class="input-inline" data-rate="${key}" value="${rates[key] ?? 0}" min="0" step="any">
+                </label>
+            `).join('')}
+        </div>
+    `;
+
+    document.getElementById('charges-broker').addEventListener('change', e => {
+        const id = e.target.value;
+        setChargeModel({ broker: id, rates: id === 'custom' ? STATE.charges.rates : brokerSchedule(id) });
+    });
+    ELEMENTS.charges.querySelectorAll('[data-rate]').forEach(input => input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (!(value >= 0)) return renderChargesPanel();
+        setChargeModel({ broker: 'custom', rates: { ...STATE.charges.rates, [input.dataset.rate]: value } });
+    }));
+}
+
+function setChargeModel(model) {
+    STATE.charges = model;
+    saveChargeModel(model);
+    renderChargesPanel();
+    refreshSnapshots();
+    renderAll();
+}
+
+/* ══════════════════════════════════════════════
+   FREE-TEXT ENTRY
+   ══════════════════════════════════════════════ */
+
+function parseFreeText(text) {
+    const prices = Object.fromEntries(Object.entries(STATE.prices).filter(([, p]) => p.cur).map(([a, p]) => [a, p.cur]));
+    STATE.pendingParse = parseTradeText(text, { prices });
+    renderParseConfirm();
+}
+
+function confirmParsedTrade() {
+    const parsed = STATE.pendingParse;
+    if (!parsed?.ok) return;
+    const { type, asset, units, price, date } = parsed.tx;
+    addTransaction(type, asset, units, price, date.toISOString());
+    ELEMENTS.nlInput.value = '';
+    cancelParsedTrade();
+}
+
+function cancelParsedTrade() {
+    STATE.pendingParse = null;
+    renderParseConfirm();
+}
+
+function renderParseConfirm() {
+    const parsed = STATE.pendingParse;
+    const el = ELEMENTS.nlConfirm;
+    el.hidden = !parsed;
+    if (!parsed) return;
+
+    if (!parsed.ok) {
+        el.innerHTML = `<span class="text-down"><i class="fa-solid fa-circle-question"></i> ${escapeHtml(parsed.error)}</span>`;
+        return;
+    }
+
+    const { type, asset, units, price, date } = parsed.tx;
+    const notes = [...parsed.notes];
+    const held = calculateHoldings()[asset]?.units || 0;
+    if (type === 'sell' && units > held) notes.push(`You currently hold ${fmtQty(asset, held, 'units')} of ${asset}.`);
+
+    el.innerHTML = `
+        <div class="nl-summary">
+            <span class="tx-type ${type}">${type.toUpperCase()}</span>
+            <strong>${fmtQty(asset, units)} ${escapeHtml(asset)}</strong> at ₹${fmt(price)}
+            · ${date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}
+            = ₹${fmt(units * price)}
+        </div>
+        ${notes.map(n => `<div class="accuracy-meta">${escapeHtml(n)}</div>`).join('')}
+        <div class="nl-actions">
+            <button type="button" class="chart-toggle-btn" onclick="confirmParsedTrade()">
+                <i class="fa-solid fa-check"></i> Record
+            </button>
+            <button type="button" class="chart-toggle-btn" onclick="cancelParsedTrade()">Cancel</button>
+        </div>
+    `;
+}
+
+/* ══════════════════════════════════════════════
+   TRADEBOOK IMPORT
+   ══════════════════════════════════════════════ */
+
+async function handleImportFile(file) {
+    try {
+        const parsed = parseTradebook(await file.text());
+        STATE.pendingImport = { ...parsed, file: file.name, trades: flagDuplicateTrades(parsed.trades, STATE.ledger, parsed.format) };
     } catch (e) {
-        console.error("TV Fetch Error", e);
+        STATE.pendingImport = { error: e.message, file: file.name };
     }
+    renderImportPreview();
 }
 
-async function updatePrices() {
-    await fetchPrices();
+function confirmImport() {
+    const pending = STATE.pendingImport;
+    if (!pending?.trades) return;
 
-    ELEMENTS.lastUpdated.textContent = new Date().toLocaleTimeString('en-IN', { hour12: false });
+    pending.trades.filter(t => t.status === 'new').forEach(t => {
+        STATE.ledger.push({
+            id: nextTxId(),
+            account: targetAccount(),
+            asset: t.asset,
+            units: t.units,
+            price: t.price,
+            date: t.date,
+            type: t.type,
+            tradeId: t.tradeId,
+            source: pending.format
+        });
+    });
+
+    savePortfolio();
+    cancelImport();
     renderAll();
 }
 
+function cancelImport() {
+    STATE.pendingImport = null;
+    ELEMENTS.importFile.value = '';
+    renderImportPreview();
+}
+
 /* ══════════════════════════════════════════════
-   RENDERING
+   PRICE FETCHING
    ══════════════════════════════════════════════ */
 
-function fmt(n, dec = 2) {
-    return new Intl.NumberFormat('en-IN', {
-        minimumFractionDigits: dec,
-        maximumFractionDigits: dec
-    }).format(n);
+/**
+ * Applies a market-data update (group → { sym → quote }) from the shared service.
+ */
+function updatePrices(results, { primary = true } = {}) {
+    const quotes = Object.assign({}, ...Object.values(results));
+    if (!Object.keys(quotes).length) return;
+
+    Object.values(STATE.prices).forEach(p => {
+        const q = quotes[p.sym];
+        if (q) {
+            p.cur = q.cur;
+            p.provider = q.provider;
+        }
+    });
+
+    // Physical holdings follow the gram price: spot × USDINR
+    Object.assign(STATE.spot, quotes);
+    const grams = gramPrices(STATE.spot);
+    METAL_HOLDINGS.forEach(h => {
+        const cur = metalHoldingPrice(h, grams);
+        if (cur) Object.assign(STATE.prices[h.name], { cur, provider: STATE.spot[METALS.SPOT[h.metal]].provider });
+    });
+
+    // Only move "Updated" when at least one quote actually arrived
+    ELEMENTS.lastUpdated.textContent = istString();
+    // Only the holding cards depend on prices (and re-rendering the history would drop an inline edit)
+    renderPortfolio();
+    if (primary && recordSnapshot(STATE.ledger, currentPrices())) {
+        rebuildSnapshots(netLedger());
+        renderEquity();
+    }
 }
 
+/* ══════════════════════════════════════════════
+   RENDERING
+   ══════════════════════════════════════════════ */
+
 function renderAll() {
     renderPortfolio();
+    renderEquity();
     renderAnalytics();
     renderHistory();
+    renderGains();
 }
 
 function renderPortfolio() {
     const holdings = calculateHoldings();
+    const prices = currentPrices();
+    const ledger = netLedger();
     ELEMENTS.container.innerHTML = '';
+    renderSummary(holdings, prices, ledger);
+    renderAccountBreakdown(prices);
 
     for (const [asset, data] of Object.entries(holdings)) {
         if (data.units === 0 && data.realizedPnl === 0) continue;
@@ -186,7 +663,9 @@ function renderPortfolio() {
         const unrealizedPnl = curVal - (data.units * data.avgCost);
         const unrealizedPct = data.units > 0 ? (unrealizedPnl / (data.units * data.avgCost)) * 100 : 0;
         const isUp = unrealizedPnl >= 0;
+        const twr = timeWeightedReturn(ledger.filter(tx => tx.asset === asset), prices);
 
+        const provider = PROVIDERS[STATE.prices[asset].provider];
         const isGold = asset.toLowerCase().includes('gold');
         const isSilver = asset.toLowerCase().includes('silver');
 
@@ -198,11 +677,16 @@ function renderPortfolio() {
                     <i class="fa-solid fa-box-archive"></i>
                 </div>
                 <div>
-                    <div class="asset-title">${asset}</div>
+                    <div class="asset-title">${escapeHtml(asset)}${provider ? ` <span class="badge" title="Price from ${provider.name}">${provider.badge}</span>` : ''}</div>
                     <div class="pnl-summary">
                         <span class="pnl-badge-inline ${isUp ? 'up' : 'down'}">
                             Unrealized: ${isUp ? '+' : ''}₹${fmt(unrealizedPnl)} (${unrealizedPct.toFixed(2)}%)
                         </span>
+                        ${twr ? `
+                            <span class="pnl-badge-inline ${twr.twr >= 0 ? 'up' : 'down'}" title="Time-weighted return since the first trade">
+                                TWR: ${fmtReturn(twr)}
+                            </span>
+                        ` : ''}
                     </div>
                 </div>
             </div>
@@ -210,7 +694,7 @@ function renderPortfolio() {
             <div class="stats-grid">
                 <div class="stat-item">
                     <span class="stat-label">Holdings</span>
-                    <span class="stat-value">${fmt(data.units, 0)} Units</span>
+                    <span class="stat-value">${fmtQty(asset, data.units, 'Units')}</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-label">Avg. Cost</span>
@@ -225,6 +709,11 @@ function renderPortfolio() {
                     <span class="stat-value ${data.realizedPnl >= 0 ? 'text-up' : 'text-down'}">₹${fmt(data.realizedPnl)}</span>
                 </div>
             </div>
+            <div class="charges-line">
+                Charges ₹${fmt(data.charges)} · gross avg ₹${fmt(data.gross.avgCost)} · gross realized ${data.gross.realizedPnl >= 0 ? '+' : ''}₹${fmt(data.gross.realizedPnl)}
+            </div>
+            ${holdingKind(asset) === 'sgb' ? renderSgbInterest() : ''}
+            ${data.lots?.length ? renderOpenLots(data.lots, asset) : ''}
         `;
         ELEMENTS.container.appendChild(card);
     }
@@ -239,6 +728,139 @@ function renderPortfolio() {
     }
 }
 
+/**
+ * Quantity with its unit: grams for physical / digital metal, whole units otherwise.
+ */
+function fmtQty(asset, units, label = '') {
+    return isGramHolding(asset) ? `${fmt(units, 2)} g` : `${fmt(units, 0)}${label ? ` ${label}` : ''}`;
+}
+
+/**
+ * SGB card line: coupons received, interest accrued, next coupon and maturity.
+ */
+function renderSgbInterest() {
+    const interest = sgbInterest(STATE.portfolio);
+    if (!interest) return '';
+    return `
+        <div class="charges-line">
+            Interest received ₹${fmt(interest.received)} · accrued ₹${fmt(interest.accrued)}${interest.nextCoupon ? ` · next coupon ${fmtDay(interest.nextCoupon)}` : ''}${interest.maturity ? ` · matures ${fmtDay(interest.maturity)}` : ''}
+        </div>
+    `;
+}
+
+/**
+ * asset → live price (assets without a quote yet are left out).
+ */
+function currentPrices() {
+    return Object.fromEntries(Object.entries(STATE.prices).filter(([, p]) => p.cur).map(([a, p]) => [a, p.cur]));
+}
+
+function fmtPct(r) {
+    return `${r >= 0 ? '+' : ''}${(r * 100).toFixed(2)}%`;
+}
+
+// Cumulative TWR, plus the annualised figure once there's a year of history
+function fmtReturn({ twr, annualised }) {
+    return annualised === null ? fmtPct(twr) : `${fmtPct(twr)} (${fmtPct(annualised)} p.a.)`;
+}
+
+/**
+ * Portfolio-level header: what went in, what it's worth, and how well the money did.
+ */
+function renderSummary(holdings, prices, ledger) {
+    if (!ELEMENTS.summary) return;
+
+    const txs = ledger.filter(tx => holdings[tx.asset]);
+    if (!txs.length) {
+        ELEMENTS.summary.innerHTML = '';
+        return;
+    }
+
+    let invested = 0, value = 0, realized = 0, charges = 0;
+    Object.entries(holdings).forEach(([asset, h]) => {
+        invested += h.totalCost;
+        value += h.units * (prices[asset] || h.avgCost);
+        realized += h.realizedPnl;
+        charges += h.charges;
+    });
+    // SGB coupons count towards P&L and XIRR; interest accrued is part of what's held
+    const interest = sgbInterest(STATE.portfolio);
+    const earned = interest ? interest.received + interest.accrued : 0;
+    const unrealized = value - invested;
+    const total = realized + unrealized + earned;
+    const irr = xirr([...portfolioCashFlows(txs, value + (interest?.accrued || 0)), ...(interest?.coupons || [])]);
+    const twr = timeWeightedReturn(txs, prices);
+    const signed = v => `${v >= 0 ? '+' : ''}₹${fmt(v)}`;
+
+    const cards = [
+        ['Invested', `₹${fmt(invested)}`, 'Cost of units still held, incl. charges'],
+        ['Current Value', `₹${fmt(value)}`, Object.keys(prices).length ? 'At live prices' : 'At cost — no live prices yet'],
+        ['Total P&L', signed(total), `Realized ${signed(realized)} · Unrealized ${signed(unrealized)}${interest ? ` · SGB interest ${signed(earned)}` : ''} · net of ₹${fmt(charges)} charges`, total],
+        ['XIRR', irr === null ? '——' : fmtPct(irr), 'Annualised, weighted by when money went in', irr],
+        ['Time-Weighted', twr ? fmtPct(twr.twr) : '——', twr?.annualised != null ? `${fmtPct(twr.annualised)} a year` : 'Ignores the timing of buys and sells', twr?.twr]
+    ];
+
+    ELEMENTS.summary.innerHTML = cards.map(([name, main, meta, sign]) => `
+        <div class="accuracy-card">
+            <div class="accuracy-name">${name}</div>
+            <div class="accuracy-mae ${sign == null ? '' : sign >= 0 ? 'text-up' : 'text-down'}">${main}</div>
+            <div class="accuracy-meta">${meta}</div>
+        </div>
+    `).join('');
+}
+
+function renderEquity() {
+    if (!ELEMENTS.equityChart) return;
+    const curve = equityCurve(netLedger());
+
+    renderLineChart(ELEMENTS.equityChart, [
+        { points: curve.map(p => ({ t: p.t, v: p.value })), cls: 'value' },
+        { points: curve.map(p => ({ t: p.t, v: p.invested })), cls: 'invested' }
+    ], { height: 220, empty: 'The equity curve fills in as daily snapshots are recorded.' });
+
+    const stats = equityStats(curve);
+    ELEMENTS.equityStats.innerHTML = stats ? [
+        ['Max Drawdown', fmtPct(stats.maxDrawdown), stats.troughDay ? `${fmtDay(stats.peakDay)} → ${fmtDay(stats.troughDay)}` : 'No drawdown yet', stats.maxDrawdown],
+        ['Best Day', fmtPct(stats.best.ret), `${fmtDay(stats.best.day)} · ${stats.best.pnl >= 0 ? '+' : ''}₹${fmt(stats.best.pnl)}`, stats.best.ret],
+        ['Worst Day', fmtPct(stats.worst.ret), `${fmtDay(stats.worst.day)} · ${stats.worst.pnl >= 0 ? '+' : ''}₹${fmt(stats.worst.pnl)}`, stats.worst.ret],
+        ['Tracked Days', String(curve.length), `Since ${fmtDay(curve[0].day)}`, null]
+    ].map(([name, main, meta, sign]) => `
+        <div class="accuracy-card">
+            <div class="accuracy-name">${name}</div>
+            <div class="accuracy-mae ${sign == null ? '' : sign >= 0 ? 'text-up' : 'text-down'}">${main}</div>
+            <div class="accuracy-meta">${meta}</div>
+        </div>
+    `).join('') : '';
+}
+
+/**
+ * Open FIFO lots of one holding, with how long each has been held and when it turns long-term.
+ */
+function renderOpenLots(lots, asset) {
+    const today = istDay(new Date().toISOString());
+    return `
+        <div class="lot-list">
+            ${lots.map(lot => {
+                const buyDay = istDay(lot.date);
+                const { term, ltcgAfter } = classifyGain(buyDay, today, holdingKind(asset));
+                const status = term === 'LTCG' ? 'Long-term'
+                    : ltcgAfter ? `LTCG after ${fmtDay(ltcgAfter)}` : 'Always short-term';
+                return `
+                    <div class="lot-row">
+                        <span>${fmtQty(asset, lot.units)} @ ₹${fmt(lot.price)}</span>
+                        <span>${fmtDay(buyDay)} · ${daysBetween(buyDay, today)}d</span>
+                        <span class="lot-term ${term.toLowerCase()}">${status}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+function fmtDay(day) {
+    return new Date(day).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
 function renderAnalytics() {
     const monthly = calculateAnalytics();
     const analyticsContainer = document.getElementById('analytics-container');
@@ -253,7 +875,7 @@ function renderAnalytics() {
     }
 
     months.forEach(month => {
-        const profit = monthly[month];
+        const { net: profit, gross } = monthly[month];
         const card = document.createElement('div');
         card.className = 'analytics-card';
         card.innerHTML = `
@@ -261,6 +883,7 @@ function renderAnalytics() {
             <div class="analytics-profit ${profit >= 0 ? 'up' : 'down'}">
                 ${profit >= 0 ? '+' : ''}₹${fmt(profit)}
             </div>
+            <div class="analytics-gross">Gross ${gross >= 0 ? '+' : ''}₹${fmt(gross)} · charges ₹${fmt(gross - profit)}</div>
         `;
         analyticsContainer.appendChild(card);
     });
@@ -273,23 +896,34 @@ function renderHistory() {
     }
 
     const sorted = [...STATE.portfolio].sort((a, b) => new Date(b.date) - new Date(a.date));
+    const charges = ledgerCharges(STATE.portfolio, STATE.charges);
+    const showAccount = STATE.account === ACCOUNTS.ALL && STATE.accounts.length > 1;
 
     ELEMENTS.list.innerHTML = sorted.map(tx => {
+        if (tx.id === STATE.editingId) return renderTransactionEditor(tx);
+
         const pnlBadge = tx.type === 'sell' && tx.realizedPnl !== undefined ?
             `<span class="tx-pnl ${tx.realizedPnl >= 0 ? 'up' : 'down'}">${tx.realizedPnl >= 0 ? '+' : ''}₹${fmt(tx.realizedPnl)}</span>`
             : '';
+        const when = new Date(tx.date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
 
         return `
             <div class="transaction-item">
                 <div class="tx-info">
                     <div class="tx-asset-row">
-                        <span class="tx-asset">${tx.asset}</span>
+                        <span class="tx-asset">${escapeHtml(tx.asset)}</span>
                         <span class="tx-type ${tx.type}">${tx.type.toUpperCase()}</span>
+                        ${showAccount ? `<span class="tx-account">${escapeHtml(accountName(tx.account, STATE.accounts))}</span>` : ''}
+                        ${noteTags(tx.note).map(t => `<span class="tx-tag">${escapeHtml(t)}</span>`).join('')}
                     </div>
-                    <div class="tx-details">${fmt(tx.units, 0)} units @ ₹${fmt(tx.price)} • ${new Date(tx.date).toLocaleDateString()}</div>
+                    <div class="tx-details">${fmtQty(tx.asset, tx.units, 'units')} @ ₹${fmt(tx.price)} • ${when}${sgbLabel(tx)}${tx.source ? ` • ${TRADEBOOK.FORMATS[tx.source]?.name || tx.source} #${escapeHtml(tx.tradeId)}` : ''}${chargesLabel(charges[tx.id])}</div>
+                    ${tx.note ? `<div class="tx-note">${escapeHtml(tx.note)}</div>` : ''}
                 </div>
                 <div class="tx-actions">
                     ${pnlBadge}
+                    <button class="btn-delete btn-edit" onclick="startEditTransaction(${tx.id})" title="Edit entry">
+                        <i class="fa-solid fa-pen"></i>
+                    </button>
                     <button class="btn-delete" onclick="deleteTransaction(${tx.id})" title="Delete entry">
                         <i class="fa-solid fa-trash-can"></i>
                     </button>
@@ -299,6 +933,256 @@ function renderHistory() {
     }).join('');
 }
 
+function chargesLabel(c) {
+    if (!c?.total) return '';
+    const title = c.manual ? 'Entered on this transaction'
+        : CHARGES.BREAKDOWN.filter(([key]) => key in c).map(([key, label]) => `${label} ₹${fmt(c[key])}`).join(' · ');
+    return ` • <span title="${title}">charges ₹${fmt(c.total)}</span>`;
+}
+
+// Series terms of an SGB purchase
+function sgbLabel(tx) {
+    if (tx.type !== 'buy' || holdingKind(tx.asset) !== 'sgb') return '';
+    const { issueDay, issuePrice, maturityDay } = sgbTerms(tx);
+    return ` • issued ${fmtDay(issueDay)} at ₹${fmt(issuePrice)}, matures ${fmtDay(maturityDay)}`;
+}
+
+/**
+ * #tags in a transaction note.
+ */
+function noteTags(note) {
+    return note?.match(/#[\w-]+/g) || [];
+}
+
+/**
+ * 'YYYY-MM-DDTHH:MM' in the browser's time zone, for <input type="datetime-local">.
+ */
+function toDateTimeLocal(iso) {
+    const d = new Date(iso);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60e3).toISOString().slice(0, 16);
+}
+
+function renderTransactionEditor(tx) {
+    const assets = [...new Set([...Object.keys(STATE.prices), tx.asset])];
+    return `
+        <div class="transaction-item tx-editing">
+            <div class="sentence-wrap tx-edit-form">
+                <select id="edit-type" class="input-inline select-inline">
+                    <option value="buy" ${tx.type === 'buy' ? 'selected' : ''}>Bought</option>
+                    <option value="sell" ${tx.type === 'sell' ? 'selected' : ''}>Sold</option>
+                </select>
+                <input type="number" id="edit-units" class="input-inline" value="${tx.units}" min="0.01" step="any">
+                <select id="edit-asset" class="input-inline select-inline">
+                    ${assets.map(a => `<option value="${escapeHtml(a)}" ${a === tx.asset ? 'selected' : ''}>${escapeHtml(a)}</option>`).join('')}
+                </select>
+                <span>at ₹</span>
+                <input type="number" id="edit-price" class="input-inline" value="${tx.price}" min="0.01" step="any">
+                <span>on</span>
+                <input type="datetime-local" id="edit-date" class="input-inline" value="${toDateTimeLocal(tx.date)}">
+                <span>charges ₹</span>
+                <input type="number" id="edit-charges" class="input-inline" value="${tx.charges ?? ''}" min="0" step="any" placeholder="auto"
+                    title="Leave blank to use the charges model">
+                <input type="text" id="edit-note" class="input-inline tx-note-input" value="${escapeHtml(tx.note)}" placeholder="Note or #tag">
+                ${STATE.accounts.length > 1 ? `
+                    <span>in</span>
+                    <select id="edit-account" class="input-inline select-inline" title="Move to another account">
+                        ${STATE.accounts.map(a => `<option value="${a.id}" ${a.id === tx.account ? 'selected' : ''}>${escapeHtml(a.name)}</option>`).join('')}
+                    </select>
+                ` : ''}
+            </div>
+            <div class="tx-actions">
+                <button class="btn-delete btn-edit" onclick="saveTransactionEdit(${tx.id})" title="Save">
+                    <i class="fa-solid fa-check"></i>
+                </button>
+                <button class="btn-delete" onclick="cancelTransactionEdit()" title="Cancel">
+                    <i class="fa-solid fa-xmark"></i>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+function startEditTransaction(id) {
+    STATE.editingId = id;
+    renderHistory();
+    document.getElementById('edit-units')?.focus();
+}
+
+function saveTransactionEdit(id) {
+    const val = elId => document.getElementById(elId).value;
+    const date = val('edit-date') ? new Date(val('edit-date')) : null;
+    const account = document.getElementById('edit-account')?.value;
+
+    const saved = updateTransaction(id, {
+        type: val('edit-type'),
+        asset: val('edit-asset'),
+        units: parseFloat(val('edit-units')),
+        price: parseFloat(val('edit-price')),
+        date: date && !isNaN(date) ? date.toISOString() : null,
+        charges: val('edit-charges') === '' ? undefined : parseFloat(val('edit-charges')),
+        note: val('edit-note').trim(),
+        ...(account && { account })
+    });
+    if (!saved) {
+        document.querySelector('.tx-editing').classList.add('invalid');
+        return;
+    }
+    cancelTransactionEdit();
+}
+
+function cancelTransactionEdit() {
+    STATE.editingId = null;
+    renderHistory();
+}
+
+/**
+ * Financial-year capital-gains statement. Always FIFO — the order in which
+ * demat units are deemed sold — whatever cost method the holdings show. Prices
+ * are net: charges count towards the cost of acquisition and transfer expenses.
+ */
+function renderGains() {
+    if (!ELEMENTS.gains) return;
+
+    const { matches, unmatched } = matchAccountsFifo(netLedger());
+    const years = capitalGainsByYear(matches);
+    const labels = Object.keys(years).sort().reverse();
+
+    if (!labels.length) {
+        ELEMENTS.gains.innerHTML = '<div class="empty-analytics">No sells matched against buy lots yet.</div>';
+        return;
+    }
+    if (!years[STATE.gainsYear]) STATE.gainsYear = labels[0];
+    const fy = years[STATE.gainsYear];
+
+    const summary = [['Short-term (STCG)', fy.stcg], ['Long-term (LTCG)', fy.ltcg], ['Net gain', fy.total]];
+    const warning = unmatched.length ? `
+        <div class="gains-warning">
+            <i class="fa-solid fa-triangle-exclamation"></i>
+            ${unmatched.map(u => `${fmtQty(u.asset, u.units)} ${escapeHtml(u.asset)}`).join(', ')} sold without a matching buy — excluded from the statement.
+        </div>
+    ` : '';
+
+    ELEMENTS.gains.innerHTML = `
+        <div class="accuracy-grid">
+            ${summary.map(([name, v]) => `
+                <div class="accuracy-card">
+                    <div class="accuracy-name">${name}</div>
+                    <div class="accuracy-mae ${v >= 0 ? 'text-up' : 'text-down'}">${v >= 0 ? '+' : ''}₹${fmt(v)}</div>
+                </div>
+            `).join('')}
+        </div>
+        ${warning}
+        <div class="accuracy-history">
+            <div class="calibration-controls">
+                <label>Year
+                    <select id="gains-year" class="input-inline select-inline">
+                        ${labels.map(l => `<option value="${l}" ${l === STATE.gainsYear ? 'selected' : ''}>${l}</option>`).join('')}
+                    </select>
+                </label>
+                <button id="gains-export" class="chart-toggle-btn" type="button">
+                    <i class="fa-solid fa-file-csv"></i> Download CSV
+                </button>
+            </div>
+            <table class="accuracy-table">
+                <thead>
+                    <tr><th>Asset</th><th>Term</th><th>Units</th><th>Bought</th><th>Buy ₹ (net)</th><th>Sold</th><th>Sell ₹ (net)</th><th>Held</th><th>Rate</th><th>Gain</th></tr>
+                </thead>
+                <tbody>
+                    ${fy.rows.map(m => `
+                        <tr title="${m.note}">
+                            <td>${escapeHtml(m.asset)}</td>
+                            <td><span class="lot-term ${m.term.toLowerCase()}">${m.term}</span></td>
+                            <td>${fmtQty(m.asset, m.units)}</td>
+                            <td>${fmtDay(m.buyDay)}</td>
+                            <td>${fmt(m.buyPrice)}</td>
+                            <td>${fmtDay(m.sellDay)}</td>
+                            <td>${fmt(m.sellPrice)}</td>
+                            <td>${m.holdingDays}d</td>
+                            <td>${m.rate}</td>
+                            <td class="${m.gain >= 0 ? 'text-up' : 'text-down'}">${m.gain >= 0 ? '+' : ''}₹${fmt(m.gain)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    document.getElementById('gains-year').addEventListener('change', e => {
+        STATE.gainsYear = e.target.value;
+        renderGains();
+    });
+    document.getElementById('gains-export').addEventListener('click', () => downloadGainsCsv(STATE.gainsYear, fy));
+}
+
+function downloadGainsCsv(label, fy) {
+    const blob = new Blob([capitalGainsCsv(label, fy)], { type: 'text/csv' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `capital-gains-${label.replace(/\s+/g, '-').toLowerCase()}.csv`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+function renderImportPreview() {
+    const pending = STATE.pendingImport;
+    const el = ELEMENTS.importPreview;
+    el.hidden = !pending;
+    if (!pending) return;
+
+    if (pending.error) {
+        el.innerHTML = `
+            <div class="calibration-controls">
+                <span class="text-down">${escapeHtml(pending.file)}: ${escapeHtml(pending.error)}</span>
+                <button type="button" class="chart-toggle-btn" onclick="cancelImport()">Dismiss</button>
+            </div>
+        `;
+        return;
+    }
+
+    const fresh = pending.trades.filter(t => t.status === 'new').length;
+    const dupes = pending.trades.length - fresh;
+
+    el.innerHTML = `
+        <div class="calibration-controls">
+            <span>${pending.name} · ${escapeHtml(pending.file)} — <strong>${fresh} new</strong>, ${dupes} duplicate, ${pending.rejected.length} rejected</span>
+            <span>
+                <button type="button" class="chart-toggle-btn" onclick="confirmImport()" ${fresh ? '' : 'disabled'}>
+                    <i class="fa-solid fa-check"></i> Import ${fresh} trade${fresh === 1 ? '' : 's'}
+                </button>
+                <button type="button" class="chart-toggle-btn" onclick="cancelImport()">Cancel</button>
+            </span>
+        </div>
+        ${pending.trades.length ? `
+            <table class="accuracy-table">
+                <thead>
+                    <tr><th>Asset</th><th>Trade ID</th><th>Side</th><th>Units</th><th>Price</th><th>Date</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${pending.trades.map(t => `
+                        <tr class="${t.status === 'duplicate' ? 'import-duplicate' : ''}">
+                            <td>${escapeHtml(t.asset)}</td>
+                            <td>${escapeHtml(t.tradeId)}</td>
+                            <td><span class="tx-type ${t.type}">${t.type.toUpperCase()}</span></td>
+                            <td>${fmt(t.units, 0)}</td>
+                            <td>₹${fmt(t.price)}</td>
+                            <td>${new Date(t.date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Kolkata' })}</td>
+                            <td>${t.status === 'new' ? 'New' : 'Already imported'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+        ${pending.rejected.length ? `
+            <div class="import-rejected">
+                <strong>Rejected rows</strong>
+                <ul>
+                    ${pending.rejected.map(r => `<li>Line ${r.line}${r.symbol ? ` · ${escapeHtml(r.symbol)}` : ''} — ${escapeHtml(r.reason)}</li>`).join('')}
+                </ul>
+            </div>
+        ` : ''}
+    `;
+}
+
 /* ══════════════════════════════════════════════
    EVENTS & INITIALIZATION
    ══════════════════════════════════════════════ */
@@ -310,13 +1194,18 @@ ELEMENTS.form.addEventListener('submit', (e) => {
     const asset = ELEMENTS.inputAsset.value;
     const units = parseFloat(ELEMENTS.inputUnits.value);
     const price = parseFloat(ELEMENTS.inputPrice.value);
+    // Blank date → now (a live trade); otherwise a back-filled one
+    const date = ELEMENTS.inputDate.value ? new Date(ELEMENTS.inputDate.value) : new Date();
+    const note = ELEMENTS.inputNote.value.trim();
 
-    if (units > 0 && price > 0) {
-        addTransaction(action, asset, units, price);
+    if (units > 0 && price > 0 && !isNaN(date)) {
+        addTransaction(action, asset, units, price, date.toISOString(), note, holdingExtras(asset, action));
 
-        // Reset inputs but keep asset/action as is for convenience
+        // Reset inputs but keep asset/action/date as is for convenience
         ELEMENTS.inputUnits.value = '';
         ELEMENTS.inputPrice.value = '';
+        ELEMENTS.inputNote.value = '';
+        ELEMENTS.inputMaking.value = '';
 
         // Visual feedback
         ELEMENTS.form.style.opacity = '0.5';
@@ -324,50 +1213,95 @@ ELEMENTS.form.addEventListener('submit', (e) => {
     }
 });
 
+ELEMENTS.inputAsset.addEventListener('change', updateHoldingFields);
+
+ELEMENTS.costMethod.value = getCostMethod();
+ELEMENTS.costMethod.addEventListener('change', () => {
+    localStorage.setItem(GAINS.METHOD_KEY, ELEMENTS.costMethod.value);
+    renderAll();
+});
+
+ELEMENTS.nlForm.addEventListener('submit', e => {
+    e.preventDefault();
+    if (ELEMENTS.nlInput.value.trim()) parseFreeText(ELEMENTS.nlInput.value);
+});
+
+ELEMENTS.importFile.addEventListener('change', e => {
+    if (e.target.files[0]) handleImportFile(e.target.files[0]);
+});
+
+ELEMENTS.accountSelect.addEventListener('change', () => selectAccount(ELEMENTS.accountSelect.value));
+document.getElementById('account-add').addEventListener('click', addAccount);
+document.getElementById('account-rename').addEventListener('click', renameAccount);
+document.getElementById('account-delete').addEventListener('click', removeAccount);
+
 // Global scope for onclick
 window.deleteTransaction = deleteTransaction;
+window.startEditTransaction = startEditTransaction;
+window.saveTransactionEdit = saveTransactionEdit;
+window.cancelTransactionEdit = cancelTransactionEdit;
+window.confirmParsedTrade = confirmParsedTrade;
+window.cancelParsedTrade = cancelParsedTrade;
+window.confirmImport = confirmImport;
+window.cancelImport = cancelImport;
 
-// Theme logic
-function initTheme() {
-    const saved = localStorage.getItem('theme') || 'dark';
-    document.documentElement.setAttribute('data-theme', saved);
-    ELEMENTS.themeIcon.className = saved === 'dark' ? 'fa-solid fa-moon' : 'fa-solid fa-sun';
-
-    ELEMENTS.themeBtn.addEventListener('click', () => {
-        const next = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
-        document.documentElement.setAttribute('data-theme', next);
-        localStorage.setItem('theme', next);
-        ELEMENTS.themeIcon.className = next === 'dark' ? 'fa-solid fa-moon' : 'fa-solid fa-sun';
+function renderAssetOptions() {
+    const options = names => names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+    ELEMENTS.inputAsset.innerHTML = `
+        <optgroup label="ETFs">${options(holdableInstruments().map(i => i.name))}</optgroup>
+        <optgroup label="Physical, SGB & digital">${options(METAL_HOLDINGS.map(h => h.name))}</optgroup>
+    `;
+    updateHoldingFields();
+}
+
+/**
+ * Shows the form fields the selected asset needs: grams and making charges for
+ * physical metal, series terms for an SGB.
+ */
+function updateHoldingFields() {
+    const asset = ELEMENTS.inputAsset.value;
+    const kind = holdingKind(asset);
+    ELEMENTS.inputUnitLabel.textContent = isGramHolding(asset) ? 'grams of' : 'units of';
+    document.querySelectorAll('[data-holding-kind]').forEach(el => {
+        el.hidden = el.dataset.holdingKind !== kind;
     });
 }
 
-function startClock() {
-    setInterval(() => {
-        const now = new Date();
-        const utcMs = now.getTime() + now.getTimezoneOffset() * 60000;
-        const ist = new Date(utcMs + 5.5 * 3600 * 1000);
-        const hh = String(ist.getHours()).padStart(2, '0');
-        const mm = String(ist.getMinutes()).padStart(2, '0');
-        const ss = String(ist.getSeconds()).padStart(2, '0');
-        ELEMENTS.clock.textContent = `${hh}:${mm}:${ss} IST`;
-    }, 1000);
-}
-
-let cd = CONFIG.INTERVAL / 1000;
-function startCountdown() {
-    setInterval(() => {
-        cd--;
-        if (cd < 0) {
-            cd = CONFIG.INTERVAL / 1000;
-            updatePrices();
-        }
-        ELEMENTS.countdown.textContent = cd;
-    }, 1000);
+/**
+ * Holding-specific fields from the form for a new trade (see addTransaction).
+ */
+function holdingExtras(asset, action) {
+    const kind = holdingKind(asset);
+    const making = parseFloat(ELEMENTS.inputMaking.value);
+    const issuePrice = parseFloat(ELEMENTS.inputIssuePrice.value);
+    if (kind === 'physical' && action === 'buy' && making > 0) return { making };
+    if (kind === 'sgb' && action === 'buy') {
+        return {
+            ...(ELEMENTS.inputIssueDate.value && { issueDate: ELEMENTS.inputIssueDate.value }),
+            ...(issuePrice > 0 && { issuePrice })
+        };
+    }
+    return {};
 }
 
+// Another tab added / removed an instrument
+document.addEventListener('instruments:changed', () => {
+    STATE.prices = buildPriceTable(STATE.prices);
+    renderAssetOptions();
+    renderAll();
+});
+
 // Init
+if (assignDefaultAccount(STATE.ledger, STATE.accounts)) localStorage.setItem('mohit_portfolio', JSON.stringify(STATE.ledger));
+if (STATE.account !== ACCOUNTS.ALL && !STATE.accounts.some(a => a.id === STATE.account)) STATE.account = STATE.accounts[0].id;
+syncView();
+renderAccountBar();
+renderAssetOptions();
 initTheme();
-startClock();
+startLiveClock();
 startCountdown();
-updatePrices();
+renderChargesPanel();
 renderAll();
+renderCalendarWarning();
+loadCalendars().then(refreshSnapshots); // trading days decide which days get a snapshot
+startMarketService(updatePrices);
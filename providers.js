@@ -0,0 +1,252 @@
+/**
+ * AurumTrack — Market Data Providers
+ * Features:
+ *  - Common provider interface: fetchQuotes(symbols, group) → { sym: { cur, prev, open?, openDay?, ts } }
+ *    (open — the session's opening price, when the provider reports it; openDay —
+ *    the 'YYYY-MM-DD' session it belongs to, when the provider dates it)
+ *  - TradingView scanner and Yahoo Finance chart-API implementations
+ *  - Per symbol-group priority list with automatic failover to the next provider
+ *  - Symbols are always the canonical TradingView ids (e.g. 'NSE:GOLDBEES')
+ *  - Every provider attempt is written to providerLog (drives the connection-health UI)
+ *
+ * Shared by the dashboard (main.js) and the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const PROVIDER_CFG = {
+    TV_API: 'https://scanner.tradingview.com/',
+    YAHOO_API: 'https://query1.finance.yahoo.com/v8/finance/chart/',
+    LOG_MAX: 50 // providerLog entries kept
+};
+
+/**
+ * Symbol groups. `providers` is the failover order; `tvMarket` is the scanner
+ * endpoint TradingView needs for that group. Members come from the instrument
+ * registry (each instrument's `market`).
+ */
+const MARKET_GROUPS = {
+    nse: {
+        label: 'NSE',
+        tvMarket: 'india',
+        providers: ['tradingview', 'yahoo']
+    },
+    intl: {
+        label: 'International (CFD)',
+        tvMarket: 'cfd',
+        providers: ['tradingview', 'yahoo']
+    },
+    fx: {
+        label: 'Forex',
+        tvMarket: 'forex',
+        providers: ['tradingview', 'yahoo']
+    },
+    mcx: {
+        label: 'MCX',
+        tvMarket: 'global',
+        providers: ['tradingview'] // not listed on Yahoo
+    }
+};
+
+/* ══════════════════════════════════════════════
+   TRADINGVIEW
+══════════════════════════════════════════════ */
+
+/**
+ * Error for a non-2xx response; `status` lets the scheduler back off on 429 / 5xx.
+ */
+function httpError(source, r) {
+    const e = new Error(`${source} ${r.status} ${r.statusText}`.trim());
+    e.status = r.status;
+    return e;
+}
+
+/**
+ * Raw TradingView scanner request. Throws on network errors and non-2xx responses.
+ */
+async function requestTradingView(market, symbols, columns = ["close", "change", "change_abs", "open"]) {
+    const url = `${PROVIDER_CFG.TV_API}${market}/scan`;
+    const headers = { 'Content-Type': 'text/plain' };
+    const body = JSON.stringify({
+        symbols: { tickers: symbols, query: { types: [] } },
+        columns
+    });
+
+    const r = await fetch(url, { method: 'POST', headers, body, cache: 'no-store' });
+    if (!r.ok) throw httpError('TradingView', r);
+    return r.json();
+}
+
+const TradingViewProvider = {
+    id: 'tradingview',
+    name: 'TradingView',
+    badge: 'TV',
+    label: sym => sym,
+
+    async fetchQuotes(symbols, group) {
+        let res;
+        try {
+            res = await requestTradingView(MARKET_GROUPS[group].tvMarket, symbols);
+        } catch (e) {
+            console.error(`TradingView API fetch failed for group ${group}:`, e);
+            throw e;
+        }
+        const out = {};
+        const ts = Date.now();
+        res?.data?.forEach(item => {
+            // Columns: [close, change_pct, change_abs, open]
+            const [cur, , changeAbs, open] = item.d;
+            if (!cur) return;
+            // Derive previous close from current price and absolute change
+            out[item.s] = { cur, prev: cur - changeAbs, ...(open && { open }), ts };
+        });
+        return out;
+    }
+};
+
+/* ══════════════════════════════════════════════
+   YAHOO FINANCE
+══════════════════════════════════════════════ */
+function yahooTicker(sym) {
+    return instrumentBySym(sym)?.yahoo;
+}
+
+const YahooProvider = {
+    id: 'yahoo',
+    name: 'Yahoo Finance',
+    badge: 'YF',
+    label: sym => yahooTicker(sym) || sym,
+
+    async fetchQuotes(symbols) {
+        const out = {};
+        let lastError = null;
+        await Promise.all(symbols.filter(yahooTicker).map(async sym => {
+            const url = `${PROVIDER_CFG.YAHOO_API}${encodeURIComponent(yahooTicker(sym))}?interval=1d&range=5d`;
+            try {
+                const r = await fetch(url, { cache: 'no-store' });
+                if (!r.ok) {
+                    console.error(`Yahoo API error for ${sym}: ${r.status} ${r.statusText}`);
+                    lastError = httpError('Yahoo', r);
+                    return;
+                }
+                const res = (await r.json())?.chart?.result?.[0];
+                const meta = res?.meta;
+                if (!meta?.regularMarketPrice) return;
+                // Open of the latest daily bar, dated by the bar's own timestamp
+                const open = res.indicators?.quote?.[0]?.open?.at(-1);
+                const openAt = res.timestamp?.at(-1);
+                out[sym] = {
+                    cur: meta.regularMarketPrice,
+                    prev: meta.previousClose ?? meta.chartPreviousClose,
+                    ...(open && openAt && { open, openDay: istToday(openAt * 1000) }),
+                    ts: (meta.regularMarketTime || 0) * 1000 || Date.now()
+                };
+            } catch (e) {
+                console.error(`Yahoo API fetch failed for ${sym}:`, e);
+                lastError = e;
+            }
+        }));
+        // Nothing served — surface the failure (and its HTTP status) to the failover log
+        if (!Object.keys(out).length && lastError) throw lastError;
+        return out;
+    }
+};
+
+/**
+ * Daily closes from Yahoo, for back-filling history (portfolio snapshots).
+ *
+ * @param {string} sym - Registry symbol
+ * @param {number} from - ms timestamp
+ * @returns {Promise<Array<{ day: string, close: number }>>} day is the IST date; [] when unavailable
+ */
+async function fetchYahooDailyCloses(sym, from, to = Date.now()) {
+    const ticker = yahooTicker(sym);
+    if (!ticker) return [];
+    const url = `${PROVIDER_CFG.YAHOO_API}${encodeURIComponent(ticker)}?interval=1d&period1=${Math.floor(from / 1000)}&period2=${Math.ceil(to / 1000)}`;
+    try {
+        const r = await fetch(url);
+        if (!r.ok) throw httpError('Yahoo', r);
+        const res = (await r.json())?.chart?.result?.[0];
+        const closes = res?.indicators?.quote?.[0]?.close || [];
+        return (res?.timestamp || [])
+            .map((t, i) => ({ day: new Date(t * 1000 + 5.5 * 3600e3).toISOString().slice(0, 10), close: closes[i] }))
+            .filter(c => c.close > 0);
+    } catch (e) {
+        console.error(`Yahoo daily closes failed for ${sym}:`, e);
+        return [];
+    }
+}
+
+const PROVIDERS = {
+    tradingview: TradingViewProvider,
+    yahoo: YahooProvider
+};
+
+/* ══════════════════════════════════════════════
+   FAILOVER
+══════════════════════════════════════════════ */
+let providerOverride = null; // provider id that serves every group (e.g. 'replay'), or null
+const providerLog = []; // newest first: { ts, group, provider, ok, missing, error, status }
+
+/**
+ * Routes every group to a single provider (null restores the normal failover lists).
+ */
+function setProviderOverride(id) {
+    providerOverride = id;
+}
+
+/**
+ * Fetches quotes for a symbol group, walking its provider list until every symbol
+ * is served (or providers run out). Each quote is tagged with the provider id.
+ *
+ * @param {string} group     - Key of MARKET_GROUPS
+ * @param {string[]} symbols - Subset of the group's symbols (defaults to all)
+ * @returns {Promise<object>} sym → { cur, prev, ts, provider }
+ */
+async function fetchGroupQuotes(group, symbols = groupSymbols(group)) {
+    const quotes = {};
+    let missing = [...symbols];
+
+    const order = providerOverride ? [providerOverride] : MARKET_GROUPS[group].providers;
+    for (const id of order) {
+        if (!missing.length) break;
+        let got = {}, error = null, status;
+        try {
+            got = await PROVIDERS[id].fetchQuotes(missing, group);
+        } catch (e) {
+            error = e.message;
+            status = e.status;
+        }
+        // receivedAt travels with the quote, so tabs it's broadcast to see its real age
+        Object.entries(got).forEach(([sym, q]) => { quotes[sym] = { ...q, provider: id, receivedAt: Date.now() }; });
+        const served = missing.filter(s => quotes[s]);
+        missing = missing.filter(s => !quotes[s]);
+        logProviderAttempt({ ts: Date.now(), group, provider: id, ok: served.length, missing: [...missing], error, status });
+        if (missing.length && id !== order.at(-1)) {
+            console.warn(`[AurumTrack] ${PROVIDERS[id].name} missed ${missing.join(', ')} — failing over`);
+        }
+    }
+    return quotes;
+}
+
+function logProviderAttempt(entry) {
+    providerLog.unshift(entry);
+    providerLog.length = Math.min(providerLog.length, PROVIDER_CFG.LOG_MAX);
+}
+
+/**
+ * Returns every registered symbol of a group.
+ */
+function groupSymbols(group) {
+    return getInstruments().filter(i => i.market === group).map(i => i.sym);
+}
+
+/**
+ * Returns the group key a canonical symbol belongs to (or undefined).
+ */
+function groupOfSymbol(sym) {
+    return instrumentBySym(sym)?.market;
+}
@@ -0,0 +1,300 @@
+/**
+ * AurumTrack — Offline Replay Provider
+ * Features:
+ *  - Plays recorded or hand-authored tick files (JSON / CSV) through the normal
+ *    provider path, so every section renders exactly as it would live
+ *  - Virtual clock (clockNow) drives the IST clock, live dots and prediction logic
+ *  - Speed control (1x / 10x / 60x), pause, "jump to 15:30 IST"
+ *  - Turned on with ?replay=<file-url>[&speed=10] or from the replay panel
+ *  - Never writes to the live caches, history DB or prediction journal
+ *
+ * Tick file formats:
+ *   JSON: [{ "sym": "TVC:GOLD", "ts": "2026-03-02T15:30:00+05:30", "price": 2931.4, "prev": 2920.1 }, …]
+ *         or { "prev": { "TVC:GOLD": 2920.1, … }, "ticks": [ … ] }
+ *   CSV:  ts,sym,price[,prev]   (header row required)
+ *   ts may be epoch ms, epoch seconds or an ISO string. Without `prev`, the first
+ *   price seen for a symbol is used as its previous close.
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const REPLAY = {
+    SPEEDS: [1, 10, 60],
+    STEP_MS: 1000 // real-time timer resolution
+};
+
+const replay = {
+    active: false,
+    name: '',
+    ticks: [],
+    idx: 0,
+    prev: {},
+    quotes: {},
+    virtualMs: 0,
+    speed: 1,
+    playing: false,
+    timer: null,
+    error: ''
+};
+
+/**
+ * Current time in ms — the virtual replay time while a replay is active.
+ */
+function clockNow() {
+    return replay.active ? replay.virtualMs : Date.now();
+}
+
+function isReplayActive() {
+    return replay.active;
+}
+
+/* ══════════════════════════════════════════════
+   PARSING
+══════════════════════════════════════════════ */
+function parseTickTime(v) {
+    if (typeof v === 'number') return v < 1e12 ? v * 1000 : v;
+    if (/^\d+$/.test(String(v).trim())) return parseTickTime(Number(v));
+    return new Date(v).getTime();
+}
+
+/**
+ * Parses a JSON or CSV tick file into { ticks, prev }.
+ * Throws an Error naming the first bad row.
+ */
+function parseTickFile(text) {
+    const trimmed = text.trim();
+    let rows, prev = {};
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        rows = Array.isArray(data) ? data : data.ticks || [];
+        prev = Array.isArray(data) ? {} : data.prev || {};
+    } else {
+        const [header, ...lines] = trimmed.split(/\r?\n/);
+        const cols = header.split(',').map(c => c.trim().toLowerCase());
+        rows = lines.filter(l => l.trim()).map(l => {
+            const vals = l.split(',').map(v => v.trim());
+            return Object.fromEntries(cols.map((c, i) => [c, vals[i]]));
+        });
+    }
+
+    const ticks = rows.map((r, i) => {
+        const tick = {
+            sym: r.sym,
+            ts: parseTickTime(r.ts),
+            price: Number(r.price),
+            prev: r.prev !== undefined && r.prev !== '' ? Number(r.prev) : undefined
+        };
+        if (!tick.sym || isNaN(tick.ts) || !(tick.price > 0)) {
+            throw new Error(`Bad tick at row ${i + 1}: ${JSON.stringify(r)}`);
+        }
+        return tick;
+    }).sort((a, b) => a.ts - b.ts);
+
+    return { ticks, prev };
+}
+
+/* ══════════════════════════════════════════════
+   ENGINE
+══════════════════════════════════════════════ */
+const ReplayProvider = {
+    id: 'replay',
+    name: 'Replay',
+    badge: 'RP',
+    label: sym => `${sym} · replay`,
+
+    async fetchQuotes(symbols) {
+        const out = {};
+        symbols.forEach(sym => { if (replay.quotes[sym]) out[sym] = { ...replay.quotes[sym] }; });
+        return out;
+    }
+};
+
+PROVIDERS.replay = ReplayProvider;
+
+/**
+ * Applies every tick with ts ≤ ms to the replay quote book and moves the clock to ms.
+ */
+function advanceReplay(ms) {
+    while (replay.idx < replay.ticks.length && replay.ticks[replay.idx].ts <= ms) {
+        const t = replay.ticks[replay.idx++];
+        if (replay.prev[t.sym] === undefined) replay.prev[t.sym] = t.prev ?? t.price;
+        if (t.prev !== undefined) replay.prev[t.sym] = t.prev;
+        replay.quotes[t.sym] = { cur: t.price, prev: replay.prev[t.sym], ts: t.ts };
+    }
+    replay.virtualMs = ms;
+}
+
+function startReplay({ ticks, prev }, name, speed = 1) {
+    if (!ticks.length) throw new Error('Tick file has no ticks');
+    clearInterval(replay.timer);
+
+    Object.assign(replay, {
+        active: true, name, ticks, idx: 0, prev: { ...prev }, quotes: {},
+        speed, playing: true, timer: null, error: ''
+    });
+    setProviderOverride('replay');
+    advanceReplay(ticks[0].ts);
+
+    replay.timer = setInterval(() => {
+        if (!replay.playing) return;
+        advanceReplay(replay.virtualMs + REPLAY.STEP_MS * replay.speed);
+        renderReplayBar();
+    }, REPLAY.STEP_MS);
+
+    renderReplayBar();
+    document.getElementById('replay-bar').hidden = false;
+    document.dispatchEvent(new CustomEvent('replay:seek'));
+}
+
+function stopReplay() {
+    clearInterval(replay.timer);
+    replay.active = false;
+    replay.playing = false;
+    setProviderOverride(null);
+
+    const url = new URL(location.href);
+    if (url.searchParams.has('replay')) {
+        url.searchParams.delete('replay');
+        url.searchParams.delete('speed');
+        history.replaceState(null, '', url);
+    }
+
+    renderReplayBar();
+    document.dispatchEvent(new CustomEvent('replay:seek'));
+}
+
+/**
+ * Jumps the virtual clock to the next 15:30 IST (NSE close / prediction anchor).
+ */
+function jumpReplayTo1530() {
+    const ist = new Date(replay.virtualMs + 5.5 * 3600e3);
+    let target = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), 10, 0); // 15:30 IST
+    if (target <= replay.virtualMs) target += 864e5;
+    advanceReplay(target);
+    renderReplayBar();
+    document.dispatchEvent(new CustomEvent('replay:seek'));
+}
+
+/* ══════════════════════════════════════════════
+   EXPORT (recorded history → tick file)
+══════════════════════════════════════════════ */
+async function exportRecordedTicks() {
+    const from = Date.now() - HIST.RETENTION.ticks;
+    const syms = getInstruments().map(i => i.sym);
+    const all = (await Promise.all(syms.map(sym => getTicks(sym, from)))).flat()
+        .sort((a, b) => a.ts - b.ts)
+        .map(({ sym, ts, price }) => ({ sym, ts, price }));
+
+    const blob = new Blob([JSON.stringify({ ticks: all }, null, 1)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `aurumtrack-ticks-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+/* ══════════════════════════════════════════════
+   UI
+══════════════════════════════════════════════ */
+function renderReplayBar() {
+    let bar = document.getElementById('replay-bar');
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'replay-bar';
+        bar.className = 'replay-bar';
+        bar.hidden = true;
+        document.body.appendChild(bar);
+    }
+
+    const canExport = typeof getTicks === 'function';
+    const ist = new Date(replay.virtualMs + 5.5 * 3600e3);
+    const clock = replay.active
+        ? `${ist.toISOString().slice(0, 10)} ${ist.toISOString().slice(11, 19)} IST`
+        : 'Live';
+
+    bar.classList.toggle('active', replay.active);
+    bar.innerHTML = `
+        <div class="replay-status">
+            <i class="fa-solid fa-clock-rotate-left"></i>
+            <strong>${replay.active ? `Replay · ${escapeHtml(replay.name)}` : 'Replay mode'}</strong>
+            <span>${clock}</span>
+            ${replay.active ? `<span>${replay.idx}/${replay.ticks.length} ticks</span>` : ''}
+            ${replay.error ? `<span class="text-down">${escapeHtml(replay.error)}</span>` : ''}
+        </div>
+        <div class="replay-controls">
+            ${replay.active ? `
+                <button type="button" data-action="toggle">${replay.playing ? '<i class="fa-solid fa-pause"></i>' : '<i class="fa-solid fa-play"></i>'}</button>
+                ${REPLAY.SPEEDS.map(s => `<button type="button" data-speed="${s}" class="${s === replay.speed ? 'active' : ''}">${s}x</button>`).join('')}
+                <button type="button" data-action="jump">Jump to 15:30</button>
+                <button type="button" data-action="stop">Exit replay</button>
+            ` : `
+                <label class="replay-file">
+                    <i class="fa-solid fa-file-arrow-up"></i> Load tick file
+                    <input type="file" accept=".json,.csv,application/json,text/csv" hidden>
+                </label>
+                ${canExport ? '<button type="button" data-action="export">Export recorded ticks</button>' : ''}
+            `}
+        </div>
+    `;
+
+    bar.querySelector('[data-action="toggle"]')?.addEventListener('click', () => {
+        replay.playing = !replay.playing;
+        renderReplayBar();
+    });
+    bar.querySelectorAll('[data-speed]').forEach(btn => btn.addEventListener('click', () => {
+        replay.speed = Number(btn.dataset.speed);
+        renderReplayBar();
+    }));
+    bar.querySelector('[data-action="jump"]')?.addEventListener('click', jumpReplayTo1530);
+    bar.querySelector('[data-action="stop"]')?.addEventListener('click', stopReplay);
+    bar.querySelector('[data-action="export"]')?.addEventListener('click', exportRecordedTicks);
+    bar.querySelector('input[type="file"]')?.addEventListener('change', async e => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            startReplay(parseTickFile(await file.text()), file.name);
+        } catch (err) {
+            replay.error = `Could not load replay: ${err.message}`;
+            renderReplayBar();
+        }
+    });
+}
+
+async function initReplay() {
+    renderReplayBar();
+
+    document.getElementById('replay-toggle')?.addEventListener('click', () => {
+        const bar = document.getElementById('replay-bar');
+        if (!replay.active) bar.hidden = !bar.hidden;
+    });
+
+    const params = new URLSearchParams(location.search);
+    const src = params.get('replay');
+    if (!src) return;
+
+    document.getElementById('replay-bar').hidden = false;
+    try {
+        const r = await fetch(src, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`${r.status} ${r.statusText}`);
+        const speed = Number(params.get('speed'));
+        startReplay(parseTickFile(await r.text()), src.split('/').pop(), REPLAY.SPEEDS.includes(speed) ? speed : 1);
+    } catch (err) {
+        console.error('[AurumTrack] Replay load failed:', err);
+        stopReplay();
+        replay.error = `Could not load ${src}: ${err.message}`;
+        renderReplayBar();
+    }
+}
+
+// A ?replay= URL must never touch the network, even before the file has loaded
+if (new URLSearchParams(location.search).has('replay')) {
+    replay.active = true;
+    replay.virtualMs = Date.now();
+    setProviderOverride('replay');
+}
+
+document.addEventListener('DOMContentLoaded', initReplay);
@@ -0,0 +1,125 @@
+/**
+ * AurumTrack — Portfolio Returns
+ * Features:
+ *  - XIRR (money-weighted, annualised) from the dated buys / sells plus today's value
+ *  - Time-weighted return, chain-linked at every trade so deposits and withdrawals
+ *    don't distort it — the fair way to compare one asset against another
+ *  - Works for the whole portfolio or any subset of its transactions (one asset)
+ *
+ * Used by the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const RETURNS = {
+    XIRR_GUESS: 0.1,
+    XIRR_TOLERANCE: 1e-7,
+    XIRR_MAX_ITER: 100,
+    XIRR_BOUNDS: [-0.9999, 100], // bisection range when Newton doesn't converge
+    MIN_ANNUALISE_DAYS: 365      // shorter periods are shown as absolute returns
+};
+
+const DAY_MS = 864e5;
+
+/* ══════════════════════════════════════════════
+   XIRR
+══════════════════════════════════════════════ */
+
+/**
+ * Annualised internal rate of return of irregular cash flows.
+ *
+ * @param {Array<{ date: number, amount: number }>} flows - ms timestamps; money in < 0, money out > 0
+ * @returns {number|null} e.g. 0.124 for 12.4% a year; null without both in- and outflows
+ */
+function xirr(flows) {
+    if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+
+    const t0 = Math.min(...flows.map(f => f.date));
+    const years = flows.map(f => (f.date - t0) / (365 * DAY_MS));
+    const npv = r => flows.reduce((s, f, i) => s + f.amount / (1 + r) ** years[i], 0);
+    const dnpv = r => flows.reduce((s, f, i) => s - years[i] * f.amount / (1 + r) ** (years[i] + 1), 0);
+
+    let r = RETURNS.XIRR_GUESS;
+    for (let i = 0; i < RETURNS.XIRR_MAX_ITER; i++) {
+        const d = dnpv(r);
+        if (!d) break;
+        const next = r - npv(r) / d;
+        if (!Number.isFinite(next) || next <= -1) break;
+        if (Math.abs(next - r) < RETURNS.XIRR_TOLERANCE) return next;
+        r = next;
+    }
+
+    // Newton wandered off — fall back to bisection
+    let [lo, hi] = RETURNS.XIRR_BOUNDS;
+    if (Math.sign(npv(lo)) === Math.sign(npv(hi))) return null;
+    for (let i = 0; i < 200; i++) {
+        const mid = (lo + hi) / 2;
+        if (Math.sign(npv(mid)) === Math.sign(npv(lo))) lo = mid;
+        else hi = mid;
+        if (hi - lo < RETURNS.XIRR_TOLERANCE) break;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Cash flows of a set of transactions, closed out at today's value.
+ *
+ * @param {Array}  transactions
+ * @param {number} currentValue - Value of what's still held
+ * @param {number} [now]
+ */
+function portfolioCashFlows(transactions, currentValue, now = Date.now()) {
+    const flows = transactions.map(tx => ({
+        date: Date.parse(tx.date),
+        amount: (tx.type === 'buy' ? -1 : 1) * Math.abs(tx.units) * tx.price
+    }));
+    if (currentValue > 0) flows.push({ date: now, amount: currentValue });
+    return flows;
+}
+
+/* ══════════════════════════════════════════════
+   TIME-WEIGHTED RETURN
+══════════════════════════════════════════════ */
+
+/**
+ * Time-weighted return: the growth of ₹1 kept invested throughout, with every trade
+ * starting a new sub-period. Holdings are marked at each asset's latest trade price
+ * (the only price the ledger knows for a past date) and at `currentPrices` at the end.
+ *
+ * @param {Array}  transactions
+ * @param {object} currentPrices - asset → price now (missing → last trade price)
+ * @param {number} [now]
+ * @returns {{ twr: number, annualised: number|null, days: number }|null}
+ */
+function timeWeightedReturn(transactions, currentPrices, now = Date.now()) {
+    const txs = chronological(transactions);
+    if (!txs.length) return null;
+
+    const units = {};
+    const marks = {};
+    const value = () => Object.keys(units).reduce((s, a) => s + units[a] * marks[a], 0);
+    let growth = 1;
+    let valueAfter = 0;
+
+    txs.forEach(tx => {
+        marks[tx.asset] = tx.price;
+        units[tx.asset] ||= 0;
+        if (valueAfter > 0) growth *= value() / valueAfter;
+
+        units[tx.asset] = Math.max(0, units[tx.asset] + (tx.type === 'buy' ? 1 : -1) * Math.abs(tx.units));
+        valueAfter = value();
+    });
+
+    Object.keys(marks).forEach(a => { if (currentPrices[a] > 0) marks[a] = currentPrices[a]; });
+    if (valueAfter > 0) growth *= value() / valueAfter;
+
+    const days = (now - Date.parse(txs[0].date)) / DAY_MS;
+    return {
+        twr: growth - 1,
+        annualised: days >= RETURNS.MIN_ANNUALISE_DAYS ? growth ** (365 / days) - 1 : null,
+        days
+    };
+}
@@ -0,0 +1,173 @@
+/**
+ * AurumTrack — Polling Scheduler
+ * Features:
+ *  - One schedule per symbol group, paced by its market session (sessions.js):
+ *    fast while open, slow when closed, very slow on weekends / holidays
+ *  - Throttled while the tab is hidden; overdue groups refresh as soon as it's visible again
+ *  - Exponential backoff per group after HTTP 429 / 5xx responses
+ *  - nextPollIn() drives the live-bar countdown
+ *  - Driven by the market-data service (marketdata.js) in whichever tab leads
+ *
+ * Shared by the dashboard (main.js) and the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const SCHEDULER = {
+    // Base interval per market session (ms)
+    INTERVALS: { open: 5e3, closed: 60e3, offDay: 300e3 },
+    HIDDEN_FACTOR: 6,   // background tabs poll this many times slower…
+    HIDDEN_MIN: 60e3,   // …and never more often than this
+    BACKOFF_MAX: 300e3, // cap for 429 / 5xx backoff
+    TICK_MS: 1000
+};
+
+const poller = {
+    groups: {},   // group → { nextAt, lastAt, failures }
+    handler: null, // async (groups[]) → { group: quotes }
+    running: false,
+    forcePending: false, // a forced poll asked for while another was running
+    timer: null,
+    isHidden: () => document.hidden // overridden when other tabs share this poller
+};
+
+/**
+ * Base interval for a group right now (before tab throttling and backoff).
+ * Replays tick on a virtual clock, so they always get the fast interval.
+ */
+function baseInterval(group) {
+    if (isReplayActive()) return SCHEDULER.INTERVALS.open;
+    return SCHEDULER.INTERVALS[marketSession(group)];
+}
+
+/**
+ * Interval for a group with tab throttling, before any backoff.
+ */
+function paceInterval(group) {
+    const ms = baseInterval(group);
+    return poller.isHidden() ? Math.max(ms * SCHEDULER.HIDDEN_FACTOR, SCHEDULER.HIDDEN_MIN) : ms;
+}
+
+function groupInterval(group) {
+    const g = poller.groups[group];
+    const ms = paceInterval(group);
+    return g?.failures ? Math.min(ms * 2 ** g.failures, SCHEDULER.BACKOFF_MAX) : ms;
+}
+
+/**
+ * True when the latest attempts for a group (since `since`) were rate-limited or hit a server error.
+ */
+function wasThrottled(group, since) {
+    return providerLog.some(e => e.group === group && e.ts >= since && (e.status === 429 || e.status >= 500));
+}
+
+/* ══════════════════════════════════════════════
+   LOOP
+══════════════════════════════════════════════ */
+
+/**
+ * Runs every due group through the handler and reschedules each. A forced run
+ * requested mid-poll runs as soon as that poll finishes.
+ *
+ * @param {boolean} force - Run every group now, regardless of its schedule
+ */
+async function runDuePolls(force = false) {
+    if (!poller.handler) return;
+    if (poller.running) {
+        if (force) poller.forcePending = true;
+        return;
+    }
+    const now = Date.now();
+    const due = Object.keys(poller.groups).filter(g => force || poller.groups[g].nextAt <= now);
+    if (!due.length) return;
+
+    poller.running = true;
+    let results = {};
+    try {
+        results = await poller.handler(due) || {};
+    } catch (e) {
+        console.error('[AurumTrack] Poll failed:', e);
+    }
+    poller.running = false;
+
+    due.forEach(group => {
+        const g = poller.groups[group];
+        if (!g) return; // dropped by setPollGroups() mid-poll
+        const got = Object.keys(results[group] || {}).length;
+        g.failures = !got && wasThrottled(group, now) ? g.failures + 1 : 0;
+        g.lastAt = Date.now();
+        g.nextAt = g.lastAt + groupInterval(group);
+        if (g.failures) console.warn(`[AurumTrack] ${group} throttled — backing off ${groupInterval(group) / 1000}s`);
+    });
+
+    if (poller.forcePending) {
+        poller.forcePending = false;
+        return runDuePolls(true);
+    }
+}
+
+/**
+ * Starts polling.
+ *
+ * @param {string[]} groups - MARKET_GROUPS keys to poll
+ * @param {Function} handler - async (dueGroups) → { group: quotes }
+ */
+function startPolling(groups, handler) {
+    poller.handler = handler;
+    setPollGroups(groups);
+    clearInterval(poller.timer);
+    poller.timer = setInterval(runDuePolls, SCHEDULER.TICK_MS);
+    return runDuePolls(true);
+}
+
+function stopPolling() {
+    clearInterval(poller.timer);
+    poller.timer = null;
+    poller.handler = null;
+    poller.forcePending = false;
+}
+
+/**
+ * Replaces the set of polled groups (new groups are due immediately).
+ */
+function setPollGroups(groups) {
+    const next = {};
+    groups.forEach(g => { next[g] = poller.groups[g] || { nextAt: 0, lastAt: 0, failures: 0 }; });
+    poller.groups = next;
+}
+
+/**
+ * Fetches every group immediately (manual retry, replay seek, new instrument).
+ */
+function pollNow() {
+    return runDuePolls(true);
+}
+
+/**
+ * Milliseconds until the next scheduled fetch of any group.
+ */
+function nextPollIn() {
+    const next = Math.min(...Object.values(poller.groups).map(g => g.nextAt));
+    return Number.isFinite(next) ? Math.max(0, next - Date.now()) : 0;
+}
+
+function fmtCountdown(ms) {
+    const s = Math.ceil(ms / 1000);
+    return s < 120 ? `${s}s` : `${Math.round(s / 60)}m`;
+}
+
+/**
+ * Pulls overdue groups forward to their visible-tab schedule (a tab became visible).
+ */
+function wakePolling() {
+    if (poller.isHidden()) return;
+    Object.entries(poller.groups).forEach(([group, g]) => {
+        g.nextAt = Math.min(g.nextAt, g.lastAt + groupInterval(group));
+    });
+    runDuePolls();
+}
+
+document.addEventListener('visibilitychange', wakePolling);
@@ -0,0 +1,77 @@
+/**
+ * AurumTrack — Market Sessions
+ * Features:
+ *  - NSE / MCX session checks and the next NSE trading day, from the exchange
+ *    calendars (calendars.js)
+ *  - marketSession(group): open / closed / offDay per symbol group, used by the
+ *    polling scheduler
+ *
+ * Shared by the dashboard (main.js) and the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   TRADING DAYS
+══════════════════════════════════════════════ */
+
+/**
+ * Returns true if the given IST date ('YYYY-MM-DD', default today) is an NSE holiday (weekday-holiday).
+ */
+function isNseHoliday(day = istToday()) {
+    return exchangeDay('nse', day).kind === 'holiday';
+}
+
+/**
+ * Returns the next NSE trading day ('YYYY-MM-DD') — skips weekends and holidays,
+ * counts special sessions (Muhurat, weekend budget sessions).
+ */
+function getNextNseDay() {
+    return nextExchangeTradingDay('nse', istToday());
+}
+
+/**
+ * Returns true if tomorrow is an NSE trading day.
+ */
+function isTomorrowNseOpen() {
+    const tomorrow = new Date(Date.parse(istToday()) + 864e5).toISOString().slice(0, 10);
+    return getNextNseDay() === tomorrow;
+}
+
+/* ══════════════════════════════════════════════
+   SESSIONS
+══════════════════════════════════════════════ */
+/**
+ * Returns true if NSE market is currently in session (09:15 - 15:30 IST on trading days, or a special session).
+ */
+function isNseOpen() {
+    return exchangeNow('nse').open;
+}
+
+/**
+ * Returns true if MCX is currently in session (09:00 - 23:30 IST, evening only on most NSE holidays).
+ */
+function isMcxOpen() {
+    return exchangeNow('mcx').open;
+}
+
+// Exchange calendar each symbol group follows (international metals track COMEX)
+const GROUP_EXCHANGES = { nse: 'nse', mcx: 'mcx', intl: 'comex' };
+
+/**
+ * Trading state of a symbol group right now:
+ *   'open'   — in session
+ *   'closed' — a trading day, outside session hours
+ *   'offDay' — weekend or exchange holiday
+ * FX trades round the clock Mon–Fri, regardless of holidays.
+ */
+function marketSession(group) {
+    const ex = GROUP_EXCHANGES[group];
+    if (!ex) {
+        const { dow } = istTime();
+        return dow === 0 || dow === 6 ? 'offDay' : 'open';
+    }
+    const now = exchangeNow(ex);
+    if (!now.schedule.sessions.length) return 'offDay';
+    return now.open ? 'open' : 'closed';
+}
@@ -0,0 +1,243 @@
+/**
+ * AurumTrack — Daily Portfolio Snapshots
+ * Features:
+ *  - One snapshot per NSE trading day: each holding's close, plus the resulting
+ *    value and invested capital (cost of open FIFO lots), stored in localStorage
+ *  - Today's snapshot follows the live price and settles at the close
+ *  - Back-fills past trading days from Yahoo daily closes (or a holding's own price history)
+ *  - Closes are kept with each snapshot, so values are recomputed whenever the
+ *    ledger is edited
+ *  - Equity-curve stats: max drawdown and best / worst day, on flow-adjusted
+ *    daily returns (a big buy isn't a good day)
+ *
+ * Used by the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const SNAPSHOTS = {
+    KEY: 'portfolio_snapshots',
+    BACKFILL_DAYS: 730,         // furthest back that closes are fetched
+    BACKFILL_RETRY: 6 * 3600e3, // don't ask Yahoo again for an asset's missing days before this
+    OPEN_MINUTES: 9 * 60 + 15   // IST; before this today's price is still yesterday's close
+};
+
+let snapshots = loadSnapshots(); // day → { value, invested, closes: { asset → close } }
+const snapshotBackfillTried = {}; // asset → ms of the last back-fill request
+
+/* ══════════════════════════════════════════════
+   STORAGE
+══════════════════════════════════════════════ */
+function loadSnapshots() {
+    try {
+        return JSON.parse(localStorage.getItem(SNAPSHOTS.KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveSnapshots() {
+    try {
+        localStorage.setItem(SNAPSHOTS.KEY, JSON.stringify(snapshots));
+    } catch (e) {
+        console.error('[AurumTrack] Failed to save snapshots:', e);
+    }
+}
+
+/* ══════════════════════════════════════════════
+   VALUATION
+══════════════════════════════════════════════ */
+
+function isTradingDay(day) {
+    return isExchangeTradingDay('nse', day);
+}
+
+/**
+ * Trading days from `from` to `to` inclusive ('YYYY-MM-DD').
+ */
+function tradingDaysBetween(from, to) {
+    const days = [];
+    for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) {
+        const day = new Date(t).toISOString().slice(0, 10);
+        if (isTradingDay(day)) days.push(day);
+    }
+    return days;
+}
+
+/**
+ * Units per asset and invested capital at the end of a day.
+ */
+function positionsOn(transactions, day) {
+    const { lots } = matchAccountsFifo(transactions.filter(tx => istDay(tx.date) <= day));
+    const units = {};
+    let invested = 0;
+    Object.entries(lots).forEach(([asset, open]) => {
+        open.forEach(l => {
+            units[asset] = (units[asset] || 0) + l.units;
+            invested += l.units * l.price;
+        });
+    });
+    return { units, invested };
+}
+
+/**
+ * Recomputes every snapshot's value from its stored closes against the current
+ * ledger (closes missing on a day carry forward from the previous one). Days
+ * where a held asset has no close at all are dropped from the curve.
+ */
+function rebuildSnapshots(transactions) {
+    const first = transactions.length ? istDay(chronological(transactions)[0].date) : null;
+    const carried = {};
+
+    Object.keys(snapshots).sort().forEach(day => {
+        const snap = snapshots[day];
+        Object.assign(carried, snap.closes);
+        if (!first || day < first) {
+            delete snap.value;
+            delete snap.invested;
+            return;
+        }
+
+        const { units, invested } = positionsOn(transactions, day);
+        const held = Object.keys(units).filter(a => units[a] > 0);
+        if (held.some(a => !carried[a])) {
+            delete snap.value;
+            return;
+        }
+        snap.value = held.reduce((s, a) => s + units[a] * carried[a], 0);
+        snap.invested = invested;
+    });
+    saveSnapshots();
+}
+
+/**
+ * Stores today's closes from live prices (asset → price) for every asset held
+ * in `transactions`. Skipped on non-trading days, before the open and during a
+ * replay. Call rebuildSnapshots() afterwards to revalue.
+ */
+function recordSnapshot(transactions, prices) {
+    const today = istDay(new Date().toISOString());
+    if (!transactions.length || !isTradingDay(today) || isReplayActive()) return false;
+    if (istTime().min < SNAPSHOTS.OPEN_MINUTES) return false;
+
+    const { units } = positionsOn(transactions, today);
+    const closes = {};
+    Object.keys(units).forEach(a => { if (prices[a]) closes[a] = prices[a]; });
+    if (!Object.keys(closes).length) return false;
+
+    snapshots[today] = { ...snapshots[today], closes: { ...snapshots[today]?.closes, ...closes } };
+    return true;
+}
+
+/**
+ * Fetches past closes for trading days that have no snapshot yet.
+ *
+ * @param {Array}  transactions
+ * @param {object} sources - asset → async (from ms) => [{ day, close }]
+ * @returns {Promise<boolean>} true when anything was added
+ */
+async function backfillSnapshots(transactions, sources) {
+    if (!transactions.length) return false;
+    const today = istDay(new Date().toISOString());
+    const earliest = istDay(new Date(Date.now() - SNAPSHOTS.BACKFILL_DAYS * DAY_MS).toISOString());
+    const first = istDay(chronological(transactions)[0].date);
+    const days = tradingDaysBetween(first > earliest ? first : earliest, today).filter(d => d < today);
+
+    // Which assets lack a close on a day they were held
+    const missing = {};
+    days.forEach(day => {
+        const { units } = positionsOn(transactions, day);
+        Object.keys(units).filter(a => units[a] > 0 && !snapshots[day]?.closes?.[a]).forEach(a => {
+            missing[a] ||= day;
+        });
+    });
+
+    const assets = Object.keys(missing).filter(a =>
+        sources[a] && Date.now() - (snapshotBackfillTried[a] || 0) > SNAPSHOTS.BACKFILL_RETRY
+    );
+    if (!assets.length) return false;
+
+    let added = false;
+    await Promise.all(assets.map(async asset => {
+        snapshotBackfillTried[asset] = Date.now();
+        const closes = await sources[asset](Date.parse(missing[asset]) - 7 * DAY_MS);
+        closes.forEach(({ day, close }) => {
+            if (day >= today || !isTradingDay(day)) return;
+            const snap = snapshots[day] ||= { closes: {} };
+            if (!snap.closes[asset]) {
+                snap.closes[asset] = close;
+                added = true;
+            }
+        });
+    }));
+
+    if (added) rebuildSnapshots(transactions);
+    return added;
+}
+
+/* ══════════════════════════════════════════════
+   EQUITY CURVE
+══════════════════════════════════════════════ */
+
+/**
+ * Valued snapshots oldest first, with each day's net cash flow (buys − sells).
+ *
+ * @returns {Array<{ day, t, value, invested, flow }>}
+ */
+function equityCurve(transactions) {
+    const flows = {};
+    transactions.forEach(tx => {
+        const day = istDay(tx.date);
+        flows[day] = (flows[day] || 0) + (tx.type === 'buy' ? 1 : -1) * Math.abs(tx.units) * tx.price;
+    });
+
+    return Object.keys(snapshots).sort()
+        .filter(day => snapshots[day].value !== undefined)
+        .map(day => ({
+            day,
+            t: Date.parse(`${day}T10:00:00Z`), // 15:30 IST
+            value: snapshots[day].value,
+            invested: snapshots[day].invested,
+            flow: flows[day] || 0
+        }));
+}
+
+/**
+ * Max drawdown and best / worst day. Daily returns strip out that day's cash
+ * flow: r = (value − flow) / previous value − 1.
+ *
+ * @returns {{ maxDrawdown, peakDay, troughDay, best, worst }|null}
+ *   best / worst — { day, ret, pnl }
+ */
+function equityStats(curve) {
+    if (curve.length < 2) return null;
+
+    let index = 1, peak = 1, peakDay = curve[0].day, maxDrawdown = 0, ddPeak = null, ddTrough = null;
+    let best = null, worst = null;
+
+    for (let i = 1; i < curve.length; i++) {
+        const prev = curve[i - 1].value;
+        if (!(prev > 0)) continue;
+        const pnl = curve[i].value - curve[i].flow - prev;
+        const day = { day: curve[i].day, ret: pnl / prev, pnl };
+        if (!best || day.ret > best.ret) best = day;
+        if (!worst || day.ret < worst.ret) worst = day;
+
+        index *= 1 + day.ret;
+        if (index > peak) {
+            peak = index;
+            peakDay = curve[i].day;
+        }
+        const dd = index / peak - 1;
+        if (dd < maxDrawdown) {
+            maxDrawdown = dd;
+            ddPeak = peakDay;
+            ddTrough = curve[i].day;
+        }
+    }
+
+    return best ? { maxDrawdown, peakDay: ddPeak, troughDay: ddTrough, best, worst } : null;
+}
@@ -0,0 +1,241 @@
+/**
+ * AurumTrack — Broker Tradebook Import
+ * Features:
+ *  - Reads tradebook / contract-note CSV exports from Zerodha Console, Groww and Upstox
+ *    (format detected from the header row)
+ *  - Maps broker symbols (GOLDBEES, TATSILV, …) onto the portfolio's asset names
+ *    via the instrument registry
+ *  - Keeps the real trade date and time (IST) and the broker's trade ID
+ *  - Flags trades already in the ledger (or repeated in the file) by trade ID
+ *  - Reports every row it can't use, with the reason
+ *
+ * Used by the portfolio page (portfolio.js).
+ */
+
+'use strict';
+
+/* ══════════════════════════════════════════════
+   CONFIG
+══════════════════════════════════════════════ */
+const TRADEBOOK = {
+    HEADER_SCAN_ROWS: 20,  // brokers put a few summary lines above the header
+    DEFAULT_TIME: '12:00', // IST, for exports that only carry the trade date
+    /**
+     * Column aliases per broker, matched against normalized headers (lower case,
+     * '_' → ' '). `detect` must all be present for the format to be picked.
+     */
+    FORMATS: {
+        zerodha: {
+            name: 'Zerodha Console',
+            detect: ['trade id', 'trade type'],
+            cols: {
+                symbol: ['symbol', 'tradingsymbol'],
+                date: ['order execution time', 'trade date'],
+                side: ['trade type'],
+                units: ['quantity'],
+                price: ['price'],
+                tradeId: ['trade id']
+            }
+        },
+        groww: {
+            name: 'Groww',
+            detect: ['execution date and time'],
+            cols: {
+                symbol: ['symbol', 'stock name'],
+                date: ['execution date and time'],
+                side: ['type'],
+                units: ['quantity'],
+                price: ['price'],
+                value: ['value'],
+                tradeId: ['exchange order id', 'order id'],
+                status: ['order status']
+            }
+        },
+        upstox: {
+            name: 'Upstox',
+            detect: ['trade num'],
+            cols: {
+                symbol: ['scrip code', 'symbol', 'company'],
+                date: ['trade date', 'date'],
+                time: ['trade time'],
+                side: ['side', 'buy/sell'],
+                units: ['quantity'],
+                price: ['price', 'rate'],
+                tradeId: ['trade num']
+            }
+        }
+    },
+    MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+};
+
+/* ══════════════════════════════════════════════
+   CSV
+══════════════════════════════════════════════ */
+
+/**
+ * Splits CSV text into rows of cells (handles quoted cells, "" escapes and CRLF).
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') { row.push(cell); cell = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = []; cell = '';
+        } else cell += ch;
+    }
+    if (cell || row.length) rows.push([...row, cell]);
+
+    return rows.map(r => r.map(c => c.trim()));
+}
+
+function normalizeHeader(h) {
+    return h.toLowerCase().replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/* ══════════════════════════════════════════════
+   FIELDS
+══════════════════════════════════════════════ */
+
+/**
+ * Broker ticker → portfolio asset name, from the holdable registry instruments.
+ */
+function tradebookSymbolMap() {
+    return Object.fromEntries(holdableInstruments().map(i => [i.sym.split(':').pop().toUpperCase(), i.name]));
+}
+
+/**
+ * Asset name for a broker symbol ('GOLDBEES', 'NSE:TATSILV', 'SILVERBEES-EQ'), or null.
+ */
+function mapTradebookSymbol(raw, map) {
+    const ticker = raw.toUpperCase().split(':').pop().replace(/\.(NS|BO)$/, '').replace(/-(EQ|BE)$/, '').trim();
+    return map[ticker] || null;
+}
+
+/**
+ * ISO timestamp of a broker date (+ optional time), read as IST. Accepts
+ * 2024-08-01, 01-08-2024, 01/08/2024 and 01 Aug 2024, optionally followed by
+ * a time ("10:15", "10:15:32", "10:15 AM"). Returns null when unreadable.
+ */
+function parseBrokerDate(dateStr, timeStr = '') {
+    const s = `${dateStr} ${timeStr}`.replace(/[T,]/g, ' ').replace(/\s+/g, ' ').trim();
+    let m, y, mo, d;
+
+    if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) [, y, mo, d] = m;
+    else if ((m = s.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})/))) [, d, mo, y] = m;
+    else if ((m = s.match(/^(\d{1,2})[ -]([A-Za-z]{3})[A-Za-z]*[ -](\d{4})/))) {
+        [, d, mo, y] = m;
+        mo = TRADEBOOK.MONTHS.indexOf(mo.toLowerCase()) + 1;
+        if (!mo) return null;
+    } else return null;
+
+    const t = s.slice(m[0].length).match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i)
+        || TRADEBOOK.DEFAULT_TIME.match(/(\d{1,2}):(\d{2})/);
+    let hh = Number(t[1]);
+    if (t[4]) hh = (hh % 12) + (t[4].toUpperCase() === 'PM' ? 12 : 0);
+
+    const utc = Date.UTC(y, mo - 1, d, hh, Number(t[2]), Number(t[3] || 0)) - 5.5 * 3600e3;
+    return Number.isFinite(utc) ? new Date(utc).toISOString() : null;
+}
+
+function parseAmount(v) {
+    const n = parseFloat(String(v ?? '').replace(/[₹,\s]/g, ''));
+    return Number.isFinite(n) ? n : NaN;
+}
+
+/* ══════════════════════════════════════════════
+   PARSE
+══════════════════════════════════════════════ */
+
+/**
+ * Reads a broker CSV export into portfolio trades.
+ *
+ * @param {string} text - File contents
+ * @returns {{ format: string, name: string, trades: Array, rejected: Array }}
+ *   trades   — { line, tradeId, symbol, asset, type, units, price, date }
+ *   rejected — { line, symbol, reason }
+ * @throws {Error} When no supported header row is found
+ */
+function parseTradebook(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    let headerIdx = -1, format = null;
+
+    for (let i = 0; i < Math.min(rows.length, TRADEBOOK.HEADER_SCAN_ROWS) && !format; i++) {
+        const headers = rows[i].map(normalizeHeader);
+        format = Object.keys(TRADEBOOK.FORMATS).find(f => TRADEBOOK.FORMATS[f].detect.every(h => headers.includes(h)));
+        if (format) headerIdx = i;
+    }
+    if (!format) throw new Error('Unrecognised file — expected a Zerodha, Groww or Upstox tradebook CSV.');
+
+    const { name, cols } = TRADEBOOK.FORMATS[format];
+    const headers = rows[headerIdx].map(normalizeHeader);
+    // field → column indexes in alias order; the first non-empty cell wins
+    const colIdx = Object.fromEntries(Object.entries(cols).map(([field, aliases]) =>
+        [field, aliases.map(a => headers.indexOf(a)).filter(i => i >= 0)]
+    ));
+    const symbolMap = tradebookSymbolMap();
+    const trades = [];
+    const rejected = [];
+
+    rows.slice(headerIdx + 1).forEach((row, i) => {
+        if (row.every(c => !c)) return;
+        const get = field => (colIdx[field] || []).map(c => row[c]).find(Boolean) || '';
+        const line = headerIdx + i + 2; // 1-based, as a spreadsheet shows it
+        const symbol = get('symbol');
+        const reject = reason => rejected.push({ line, symbol, reason });
+
+        const status = get('status');
+        if (status && !/^(executed|complete)/i.test(status)) return reject(`Order ${status.toLowerCase()}`);
+
+        const asset = mapTradebookSymbol(symbol, symbolMap);
+        if (!asset) return reject(symbol ? 'Symbol not in the portfolio' : 'No symbol');
+
+        const side = get('side').toLowerCase();
+        const type = side.startsWith('b') ? 'buy' : side.startsWith('s') ? 'sell' : null;
+        if (!type) return reject(`Unknown side "${get('side')}"`);
+
+        const units = Math.abs(parseAmount(get('units')));
+        let price = parseAmount(get('price'));
+        if (!(price > 0) && units > 0) price = parseAmount(get('value')) / units;
+        if (!(units > 0) || !(price > 0)) return reject('Missing quantity or price');
+
+        const date = parseBrokerDate(get('date'), get('time'));
+        if (!date) return reject(`Unreadable date "${get('date')}"`);
+
+        const tradeId = get('tradeId');
+        if (!tradeId) return reject('No trade ID');
+
+        trades.push({ line, tradeId, symbol, asset, type, units, price, date });
+    });
+
+    return { format, name, trades, rejected };
+}
+
+/**
+ * Marks each parsed trade 'new' or 'duplicate' — already in the ledger, or
+ * earlier in the same file — by broker and trade ID (IDs are only unique
+ * within one broker).
+ *
+ * @param {Array}  trades       - From parseTradebook()
+ * @param {Array}  transactions - Current portfolio ledger
+ * @param {string} format       - Broker format the trades came from (TRADEBOOK.FORMATS key)
+ */
+function flagDuplicateTrades(trades, transactions, format) {
+    const key = (source, tradeId) => `${source}:${tradeId}`;
+    const seen = new Set(transactions.filter(t => t.tradeId).map(t => key(t.source, t.tradeId)));
+    return trades.map(t => {
+        const duplicate = seen.has(key(format, t.tradeId));
+        seen.add(key(format, t.tradeId));
+        return { ...t, status: duplicate ? 'duplicate' : 'new' };
+    });
+}